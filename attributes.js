@@ -0,0 +1,80 @@
+// Map attributes with mods, from osu!'s attributes endpoint or worked out locally
+// server.js picks where they come from, the tests use the local stand-in
+const { getShownMods } = require('./public/shared');
+
+// Usual rate for each speed mod, lazer scores can set their own with speed_change
+const MOD_RATES = { DT: 1.5, NC: 1.5, HT: 0.75, DC: 0.75 };
+
+// Function to get the playback rate the mods give
+function getModRate(mods) {
+    const mod = mods.find(mod => MOD_RATES[mod.acronym]);
+    return mod ? (mod.settings?.speed_change || MOD_RATES[mod.acronym]) : 1;
+}
+
+// Function to work out modded CS/AR/OD/HP, BPM and length from the map's own values
+// osu! only sends star rating, AR and OD, so this fills in the rest (and stands in for all of it without osu!)
+function getLocalModdedAttributes(beatmap, mods, mode) {
+    const has = acronym => mods.some(mod => mod.acronym === acronym);
+    const adjust = mods.find(mod => mod.acronym === 'DA')?.settings || {};
+    const rate = getModRate(mods);
+    const round = value => value === null ? null : Math.round(value * 100) / 100;
+
+    // HR makes everything harder (CS less so), EZ halves it, Difficulty Adjust sets the values before either
+    const scale = (value, hardRock) => {
+        if (value === null || value === undefined) return null;
+        if (has('HR')) return Math.min(10, value * hardRock);
+        if (has('EZ')) return value * 0.5;
+        return value;
+    };
+    const cs = mode === 'mania' ? beatmap.cs : scale(adjust.circle_size ?? beatmap.cs, 1.3);
+    const hp = scale(adjust.drain_rate ?? beatmap.hp, 1.4);
+    let ar = scale(adjust.approach_rate ?? beatmap.ar, 1.4);
+    let od = scale(adjust.overall_difficulty ?? beatmap.od, 1.4);
+
+    // Speed mods shrink the approach time and (on osu!) the 300 hit window
+    if (rate !== 1 && ar !== null && (mode === 'osu' || mode === 'fruits')) {
+        const preempt = (ar < 5 ? 1800 - 120 * ar : 1200 - 150 * (ar - 5)) / rate;
+        ar = preempt > 1200 ? (1800 - preempt) / 120 : 5 + (1200 - preempt) / 150;
+    }
+    if (rate !== 1 && od !== null && mode === 'osu') {
+        od = (80 - (80 - 6 * od) / rate) / 6;
+    }
+
+    return {
+        star_rating: beatmap.star_rating,
+        cs: round(cs),
+        ar: round(ar),
+        od: round(od),
+        hp: round(hp),
+        bpm: beatmap.bpm === null ? null : round(beatmap.bpm * rate),
+        length: beatmap.length === null ? null : Math.round(beatmap.length / rate),
+        source: 'local'
+    };
+}
+
+// Function to get a difficulty's star rating and attributes with mods
+// beatmap is formatted beatmap data (with beatmap_id and the no-mod attributes)
+// requestAttributes(beatmapId, body) asks osu! for the ones it knows, without it the local stand-in gives all of them
+async function getModdedAttributes(beatmap, mods, mode, requestAttributes = null) {
+    const attributes = getLocalModdedAttributes(beatmap, mods, mode);
+    if (!requestAttributes || !beatmap.beatmap_id) return attributes;
+
+    try {
+        // Mods with lazer settings are sent whole so custom rates count, osu! already knows what NC and PF include
+        const body = { ruleset: mode, mods: getShownMods(mods).map(mod => mod.settings ? mod : mod.acronym) };
+        const osuAttributes = await requestAttributes(beatmap.beatmap_id, body);
+        return {
+            ...attributes,
+            star_rating: osuAttributes.star_rating ?? attributes.star_rating,
+            ar: osuAttributes.approach_rate !== undefined ? Math.round(osuAttributes.approach_rate * 100) / 100 : attributes.ar,
+            od: osuAttributes.overall_difficulty !== undefined ? Math.round(osuAttributes.overall_difficulty * 100) / 100 : attributes.od,
+            source: 'osu'
+        };
+    } catch (error) {
+        // Still show the right AR/OD/BPM if osu! can't work out the star rating
+        console.error('Error fetching beatmap attributes:', error.message);
+        return attributes;
+    }
+}
+
+module.exports = { getLocalModdedAttributes, getModdedAttributes };
@@ -1,9 +1,28 @@
 // Global variables to store current data and gradient sampling
 let currentScoreData = null;
 let currentMapData = null;
+let lookedUpUser = null; // User found from the username override, fills in the rank, avatar and flag
 let gradientCanvas = null;
 let gradientCtx = null;
-let smallScorecard = false;
+let scorecardTemplate = 'standard'; // Key of the layout in SCORECARD_TEMPLATES
+let expandedStats = false; // Show the extra judgements (gekis/katus, lazer ticks) in a row of their own
+let moddedAttributes = null; // Promise for the star rating and attributes with the card's mods
+let moddedAttributesKey = ''; // Map, ruleset and mods moddedAttributes was fetched for
+let renderSequence = 0; // Counts updateScorecard() calls, so an older one that finishes late doesn't draw over a newer one
+let showFcPp = false; // Show what the play would give as an FC under the pp
+let calculatedPerformance = null; // Promise for the offline pp calculation of the card's play
+let calculatedPerformanceKey = ''; // Play calculatedPerformance was worked out for
+let hiddenElements = new Set(); // Keys of CARD_ELEMENTS switched off in the Visibility panel
+let cardLayout = {}; // Offset and scale of each LAYOUT_ELEMENTS part moved in the layout editor
+let layoutEditing = false; // Card elements can be dragged and resized in the preview
+let layoutDrag = null; // Element being dragged or resized in the layout editor
+let cardFonts = { title: 'Fredoka', numbers: 'Fredoka', labels: 'Fredoka' }; // Font family picked for each part of the card
+let cardTheme = null; // Colours and star gradient the card is drawn with (see THEME_PRESETS)
+let dominantColours = new Map(); // Dominant colour of each background, for themes with the accent from the background
+let iconSet = 'current'; // Mod icons and grades to use: current, old or skin
+let importedSkin = null; // Grades and mod icons (as data URLs) from the uploaded .osk skin
+let uploadedBackground = null; // Background picked from disk as a data URL, used instead of the map's
+let backgroundAdjust = null; // Focal point, zoom, blur, brightness and tint of the background
 
 // Debug helper: safely extract background-image url(...) value
 function extractCssBackgroundUrl(backgroundImageValue) {
@@ -12,16 +31,9 @@ function extractCssBackgroundUrl(backgroundImageValue) {
     return match ? match[1] : '';
 }
 
-
-// Fetch an image URL and return a data URL
-async function fetchImageAsDataUrl(imageUrl) {
-    const bustUrl = imageUrl + (imageUrl.includes('?') ? '&' : '?') + `_dl=${Date.now()}`;
-    const response = await fetch(bustUrl, { cache: 'no-store' });
-    if (!response.ok) {
-        throw new Error(`Failed to fetch image: ${response.status}`);
-    }
-    const blob = await response.blob();
-    return await new Promise((resolve, reject) => {
+// Read a blob (or an uploaded file) as a data URL
+function readBlobAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onloadend = () => resolve(reader.result);
         reader.onerror = reject;
@@ -29,6 +41,18 @@ async function fetchImageAsDataUrl(imageUrl) {
     });
 }
 
+// Fetch an image URL and return a data URL
+async function fetchImageAsDataUrl(imageUrl) {
+    // Always revalidate, the image proxy answers with a 304 when the image hasn't changed
+    const response = await fetch(imageUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+        // The image proxy explains what went wrong (blocked host, not an image, too large...)
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Failed to fetch image: ${response.status}`);
+    }
+    return await readBlobAsDataUrl(await response.blob());
+}
+
 // Apply background image as data URL
 async function applyBackgroundDataUrl(containerElement, sourceUrl, contextTag) {
     try {
@@ -36,10 +60,12 @@ async function applyBackgroundDataUrl(containerElement, sourceUrl, contextTag) {
         if (!imgEl) {
             return;
         }
-        const dataUrl = await fetchImageAsDataUrl(sourceUrl);
+        // Uploaded backgrounds are already data URLs
+        const dataUrl = sourceUrl.startsWith('data:') ? sourceUrl : await fetchImageAsDataUrl(sourceUrl);
         imgEl.src = dataUrl;
     } catch (e) {
         console.warn(contextTag, 'failed to apply bg data URL', e);
+        setStatus(`Background image: ${e.message}`, 'error');
     }
 }
 
@@ -54,6 +80,7 @@ async function applyAvatarDataUrl(containerElement, sourceUrl, contextTag) {
         imgEl.src = dataUrl;
     } catch (e) {
         console.warn(contextTag, 'failed to apply avatar data URL', e);
+        setStatus(`Avatar image: ${e.message}`, 'error');
     }
 }
 
@@ -97,8 +124,55 @@ async function loadGradientColours() {
     }
 }
 
+// Convert between #rrggbb and [r, g, b]
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [value >> 16, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(r, g, b) {
+    return `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Star rating colour from a theme's custom gradient, blending between the stops either side
+function getThemeGradientColour(starRating, stops) {
+    const upper = stops.findIndex(([stars]) => stars >= starRating);
+    if (upper === 0) return stops[0][1];
+    if (upper === -1) return stops.at(-1)[1];
+
+    const [fromStars, fromColour] = stops[upper - 1];
+    const [toStars, toColour] = stops[upper];
+    const position = (starRating - fromStars) / (toStars - fromStars || 1);
+    const to = hexToRgb(toColour);
+    return rgbToHex(...hexToRgb(fromColour).map((value, index) => value + (to[index] - value) * position));
+}
+
+// WCAG contrast ratio between two #rrggbb colours
+function getContrastRatio(colourA, colourB) {
+    const luminance = hex => {
+        const [r, g, b] = hexToRgb(hex).map(value => {
+            value /= 255;
+            return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(colourA), luminance(colourB)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// SR text colour on the star rating pill, with a custom gradient it's whichever of the two reads better
+function getStarTextColour(starRating, pillColour) {
+    if (!cardTheme?.gradient) return starRating > 6.5 ? "ffe475" : "2c3b43";
+    return getContrastRatio(pillColour, '#ffe475') >= getContrastRatio(pillColour, '#2c3b43') ? "ffe475" : "2c3b43";
+}
+
 // Get colour from gradient based on star rating (0-10)
 function getGradientColour(starRating) {
+    // A theme's custom gradient replaces gradient.png
+    if (cardTheme?.gradient) {
+        return getThemeGradientColour(starRating, cardTheme.gradient);
+    }
+    
     // If gradient canvas is not available, use fallback colour mapping
     if (!gradientCanvas || !gradientCtx) {
         // Fallback colours mapped to star rating ranges
@@ -125,7 +199,7 @@ function getGradientColour(starRating) {
         // Sample pixel colour from gradient at calculated position
         const pixel = gradientCtx.getImageData(x, y, 1, 1).data;
         // Convert RGB values to hex colour string
-        return `#${pixel[0].toString(16).padStart(2, '0')}${pixel[1].toString(16).padStart(2, '0')}${pixel[2].toString(16).padStart(2, '0')}`;
+        return rgbToHex(pixel[0], pixel[1], pixel[2]);
     } catch (error) {
         console.error('Error sampling gradient:', error);
         return "#ff6b6b";
@@ -142,15 +216,127 @@ function formatAccuracy(accuracy) {
     return (accuracy * 100).toFixed(2);
 }
 
+// Grades an osu! skin can have a ranking-*.png for
+const SKIN_GRADES = ['XH', 'X', 'SH', 'S', 'A', 'B', 'C', 'D'];
+
+// osu! skin selection-mod-*.png names for each mod
+const SKIN_MOD_ICONS = {
+    EZ: 'easy', NF: 'nofail', HT: 'halftime', HR: 'hardrock', SD: 'suddendeath', PF: 'perfect',
+    DT: 'doubletime', NC: 'nightcore', HD: 'hidden', FL: 'flashlight', FI: 'fadein', RX: 'relax',
+    AP: 'relax2', SO: 'spunout', AT: 'autoplay', CN: 'cinema', TP: 'target', V2: 'scorev2',
+    RD: 'random', MR: 'mirror', TD: 'touchdevice', CO: 'keycoop',
+    '1K': 'key1', '2K': 'key2', '3K': 'key3', '4K': 'key4', '5K': 'key5',
+    '6K': 'key6', '7K': 'key7', '8K': 'key8', '9K': 'key9'
+};
+
+// Mod icon for the picked icon set, anything the set doesn't have uses the current icons
+function getModIconUrl(acronym) {
+    if (iconSet === 'skin' && importedSkin?.mods[acronym]) return importedSkin.mods[acronym];
+    if (iconSet === 'old' && OLD_MOD_ICONS.includes(acronym)) return `./oldicons/${acronym}.png`;
+    return `./icons/${acronym}.png`;
+}
+
+// Grade from the imported skin, or null to keep the .rank-* background
+function getSkinRankUrl(rank) {
+    return iconSet === 'skin' ? importedSkin?.ranks[rank] || null : null;
+}
+
+// Load the skin imported last time
+function loadImportedSkin() {
+    try {
+        return JSON.parse(localStorage.getItem('importedSkin'));
+    } catch {
+        return null;
+    }
+}
+
+// Fill the icon set dropdown, the imported skin only shows up once there is one
+function refreshIconSetSelect() {
+    const iconSetSelect = document.getElementById('iconSetSelect');
+    iconSetSelect.innerHTML = `
+        <option value="current">Current</option>
+        <option value="old">Old</option>
+        ${importedSkin ? `<option value="skin">Skin: ${escapeHtml(importedSkin.name)}</option>` : ''}
+    `;
+    iconSetSelect.value = iconSet;
+}
+
+// Read the grades and mod icons out of an uploaded .osk skin
+async function importSkin(file) {
+    if (!/\.(osk|zip)$/i.test(file.name)) {
+        setStatus('Skins have to be .osk files', 'error');
+        return;
+    }
+    if (typeof JSZip === 'undefined') {
+        setStatus('Skin import needs JSZip, which failed to load', 'error');
+        return;
+    }
+
+    setStatus('Reading skin...', 'loading');
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (error) {
+        console.error('Error reading skin:', error);
+        setStatus(`${file.name} isn't a skin archive that can be opened`, 'error');
+        return;
+    }
+
+    // Index the skin's PNGs by lower case file name, skins are sometimes zipped with a folder around them
+    const images = {};
+    zip.forEach((filePath, entry) => {
+        if (!entry.dir && /\.png$/i.test(filePath)) {
+            images[filePath.split('/').pop().toLowerCase()] = entry;
+        }
+    });
+
+    // The @2x version is sharper, the normal one is the fallback
+    const readImage = async name => {
+        const entry = images[`${name}@2x.png`] || images[`${name}.png`];
+        return entry ? `data:image/png;base64,${await entry.async('base64')}` : null;
+    };
+    const ranks = {};
+    for (const rank of SKIN_GRADES) {
+        const image = await readImage(`ranking-${rank.toLowerCase()}`);
+        if (image) ranks[rank] = image;
+    }
+    const mods = {};
+    for (const [acronym, name] of Object.entries(SKIN_MOD_ICONS)) {
+        const image = await readImage(`selection-mod-${name}`);
+        if (image) mods[acronym] = image;
+    }
+
+    const [rankCount, modCount] = [Object.keys(ranks).length, Object.keys(mods).length];
+    if (rankCount + modCount === 0) {
+        setStatus(`${file.name} has no ranking-*.png grades or selection-mod-*.png mod icons`, 'error');
+        return;
+    }
+
+    importedSkin = { name: file.name.replace(/\.(osk|zip)$/i, ''), ranks, mods };
+    iconSet = 'skin';
+    let remembered = true;
+    try {
+        localStorage.setItem('importedSkin', JSON.stringify(importedSkin));
+        localStorage.setItem('iconSet', iconSet);
+    } catch {
+        // Big skins don't fit in the browser's storage, they still work until the page is closed
+        remembered = false;
+    }
+    refreshIconSetSelect();
+    await updateScorecard();
+    setStatus(`Imported ${importedSkin.name}: ${rankCount} grades and ${modCount} mod icons, the rest use the default icons${remembered ? '' : ' (too big to remember after the page is closed)'}`, 'success');
+}
+
 // Generate HTML for mod icons based on mod array
 function generateModIconsHtml(mods) {
     // Return empty string if no mods
     if (!mods || mods.length === 0) return '';
     
-    // Map each mod to its icon HTML element
-    return mods.map(mod => 
-        `<div class="mod-icon" style="background-image: url('./icons/${mod.acronym}.png')"></div>`
-    ).join('');
+    // Map each mod to its icon HTML element, with a badge for any lazer settings
+    return getShownMods(mods).map(mod => {
+        const badge = getModSettingsBadge(mod);
+        return `<div class="mod-icon" style="background-image: url('${getModIconUrl(mod.acronym)}')">${badge ? `<span class="mod-setting">${escapeHtml(badge)}</span>` : ''}</div>`;
+    }).join('');
 }
 
 // Truncate text to specified length with ellipsis
@@ -181,6 +367,9 @@ async function fetchMapData(mapId) {
         
         // Make request to map API endpoint
         const response = await fetch(`/api/map/${mapId}`);
+        if (response.status === 503) {
+            throw new Error((await response.json()).error);
+        }
         if (!response.ok) {
             throw new Error(`Failed to fetch map data! Make sure you entered a valid ID or URL. If this error persists, report it on the github page!`);
         }
@@ -194,6 +383,10 @@ async function fetchMapData(mapId) {
         const scoreOverrides = document.getElementById('scoreOverrides');
         scoreOverrides.style.display = 'block';
         
+        // Show the map's leaderboard so a real score can be picked instead
+        document.getElementById('mapLeaderboard').style.display = 'block';
+        document.getElementById('leaderboardList').innerHTML = '';
+        
         // Show/hide PP input for loved maps
         const ppInputGroup = document.getElementById('ppInputGroup');
         if (data.beatmap.status === 'loved') {
@@ -210,6 +403,7 @@ async function fetchMapData(mapId) {
         console.error('Error fetching map:', error);
         setStatus(`Error: ${error.message}`, 'error');
         currentMapData = null;
+        document.getElementById('mapLeaderboard').style.display = 'none';
         // Hide scorecard and show placeholder on error
         document.getElementById('scorecard-preview').style.display = 'none';
         document.getElementById('placeholder').style.display = 'block';
@@ -221,33 +415,43 @@ async function fetchMapData(mapId) {
 // Extract and process score data based on current data type
 function extractScoreData() {
     const overrides = getScoreOverrides();
+    const modWarnings = [];
+    const overrideMods = parseModsString(overrides.mods, modWarnings);
     
     if (currentScoreData) {
         const data = currentScoreData;
-        return {
+        return recalculateAccuracyAndRank({
             score: overrides.score !== '' ? parseInt(overrides.score) : (data.lazer ? data.score.score : data.score.classic_score),
             classic_score: overrides.score !== '' ? parseInt(overrides.score) : data.score.classic_score,
             c300: overrides.count300 !== '' ? parseInt(overrides.count300) : data.score.c300,
             c100: overrides.count100 !== '' ? parseInt(overrides.count100) : data.score.c100,
             c50: overrides.count50 !== '' ? parseInt(overrides.count50) : data.score.c50,
+            cGeki: overrides.countGeki !== '' ? parseInt(overrides.countGeki) : (data.score.cGeki || 0),
+            cKatu: overrides.countKatu !== '' ? parseInt(overrides.countKatu) : (data.score.cKatu || 0),
             misses: overrides.countMiss !== '' ? parseInt(overrides.countMiss) : data.score.misses,
             cEnds: overrides.countSliderEnds !== '' ? parseInt(overrides.countSliderEnds) : data.score.cEnds,
             max_combo: overrides.combo !== '' ? parseInt(overrides.combo) : data.score.max_combo,
             accuracy: overrides.accuracy !== '' ? parseFloat(overrides.accuracy) / 100 : data.score.accuracy,
             pp: overrides.pp !== '' ? parseFloat(overrides.pp) : data.score.pp,
             rank: overrides.rank !== '' ? overrides.rank : data.score.rank,
-            mods: overrides.mods !== '' ? parseModsString(overrides.mods) : data.score.mods,
+            mods: applyModSettingOverrides(overrides.mods !== '' ? overrideMods : data.score.mods, overrides.modSettings),
             leaderboard: overrides.leaderboard !== '' ? parseInt(overrides.leaderboard) : data.score.leaderboard,
             full_combo: data.score.full_combo,
-            cSliders: data.score.cSliders
-        };
+            cSliders: data.score.cSliders,
+            statistics: applyStatisticOverrides(data.score.statistics || {}, overrides.statistics),
+            maximum_statistics: data.score.maximum_statistics || {},
+            mode: data.mode || data.beatmap.mode || 'osu',
+            warnings: modWarnings
+        }, overrides, data.lazer);
     } else if (currentMapData) {
         // Default values for map preview
-        return {
+        return recalculateAccuracyAndRank({
             score: overrides.score !== '' ? parseInt(overrides.score) : 0,
             c300: overrides.count300 !== '' ? parseInt(overrides.count300) : 0,
             c100: overrides.count100 !== '' ? parseInt(overrides.count100) : 0,
             c50: overrides.count50 !== '' ? parseInt(overrides.count50) : 0,
+            cGeki: overrides.countGeki !== '' ? parseInt(overrides.countGeki) : 0,
+            cKatu: overrides.countKatu !== '' ? parseInt(overrides.countKatu) : 0,
             misses: overrides.countMiss !== '' ? parseInt(overrides.countMiss) : 0,
             cEnds: overrides.countSliderEnds !== '' ? parseInt(overrides.countSliderEnds) : 0,
             cSliders: 100, // Default value for map preview
@@ -255,39 +459,193 @@ function extractScoreData() {
             accuracy: overrides.accuracy !== '' ? parseFloat(overrides.accuracy) / 100 : 0,
             pp: overrides.pp !== '' ? parseFloat(overrides.pp) : 0,
             rank: overrides.rank !== '' ? overrides.rank : 'F',
-            mods: overrides.mods !== '' ? parseModsString(overrides.mods) : [],
+            mods: applyModSettingOverrides(overrideMods, overrides.modSettings),
             leaderboard: overrides.leaderboard !== '' ? parseInt(overrides.leaderboard) : 0,
-            full_combo: false
-        };
+            full_combo: false,
+            statistics: applyStatisticOverrides({}, overrides.statistics),
+            maximum_statistics: {},
+            mode: currentMapData.beatmap.mode || 'osu',
+            warnings: modWarnings
+        }, overrides, null);
     }
     return null;
 }
 
+// Hit count overrides that change the accuracy and rank
+const HIT_COUNT_OVERRIDES = ['count300', 'count100', 'count50', 'countGeki', 'countKatu', 'countMiss', 'countSliderEnds'];
+
+// Work out accuracy and rank from the hit counts when they no longer match the original score
+// originalLazer is whether the score was set on lazer (null for map previews, which are always worked out)
+// Typed in accuracy/rank still win, with a warning in scoreData.warnings if they don't match the counts
+// scoreData.edited is set when osu!'s pp no longer fits the play
+function recalculateAccuracyAndRank(scoreData, overrides, originalLazer) {
+    const isLazer = document.getElementById('lazerScoringOverride').checked;
+    const countsChanged = HIT_COUNT_OVERRIDES.some(key => overrides[key] !== '')
+        || Object.values(overrides.statistics).some(value => value !== '');
+    const scoringChanged = originalLazer !== null && isLazer !== originalLazer;
+    scoreData.edited = originalLazer === null || countsChanged || scoringChanged
+        || overrides.mods !== '' || overrides.combo !== ''
+        || Object.values(overrides.modSettings).some(value => value !== '');
+    
+    // Nothing to work it out from on an empty map preview
+    const judgements = scoreData.c300 + scoreData.c100 + scoreData.c50 + scoreData.cGeki + scoreData.cKatu + scoreData.misses;
+    if (judgements === 0) return scoreData;
+    
+    const accuracy = calculateAccuracy(scoreData.mode, scoreData, isLazer);
+    const rank = calculateRank(scoreData.mode, scoreData, accuracy, isLazer);
+    const recalculate = originalLazer === null || countsChanged || scoringChanged;
+    
+    if (overrides.accuracy === '') {
+        if (recalculate) scoreData.accuracy = accuracy;
+    } else if (formatAccuracy(scoreData.accuracy) !== formatAccuracy(accuracy)) {
+        scoreData.warnings.push(`Accuracy override (${formatAccuracy(scoreData.accuracy)}%) doesn't match the hit counts (${formatAccuracy(accuracy)}%)`);
+    }
+    
+    // Changing the mods can add or remove the silver grade
+    if (overrides.rank === '') {
+        if (recalculate || overrides.mods !== '') scoreData.rank = rank;
+    } else if (scoreData.rank !== rank) {
+        scoreData.warnings.push(`Rank override (${scoreData.rank}) doesn't match the hit counts (${rank})`);
+    }
+    return scoreData;
+}
+
+// Show or clear the warnings about overrides that don't match the hit counts
+function showOverrideWarnings(warnings) {
+    const status = document.getElementById('status');
+    if (warnings.length > 0) {
+        setStatus(`Warning: ${warnings.join('. ')}`, 'warning');
+    } else if (status.className === 'status-warning') {
+        status.textContent = '';
+        status.className = '';
+    }
+}
+
+// Override inputs for the lazer tick judgements, [input ID, statistic]
+const LAZER_TICK_INPUTS = [
+    ['statLargeTickHit', 'large_tick_hit'],
+    ['statLargeTickMiss', 'large_tick_miss'],
+    ['statSmallTickHit', 'small_tick_hit'],
+    ['statSmallTickMiss', 'small_tick_miss']
+];
+
+// Mod setting inputs: input id, the mods it applies to and the lazer setting it changes
+const MOD_SETTING_INPUTS = Object.entries(MOD_SETTINGS)
+    .map(([name, [acronyms, key]]) => [`mod${name[0].toUpperCase()}${name.slice(1)}`, acronyms, key]);
+
+// Set the mod settings that were typed into the override inputs on the mods they apply to
+function applyModSettingOverrides(mods, overrides) {
+    return mods.map(mod => {
+        const settings = { ...mod.settings };
+        MOD_SETTING_INPUTS.forEach(([id, acronyms, key]) => {
+            if (overrides[id] !== '' && acronyms.includes(mod.acronym)) settings[key] = parseFloat(overrides[id]);
+        });
+        return Object.keys(settings).length > 0 ? { ...mod, settings } : mod;
+    });
+}
+
+// Replace lazer statistics with any that were typed into the override inputs
+function applyStatisticOverrides(statistics, overrides) {
+    const result = { ...statistics };
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== '') result[key] = parseInt(value);
+    });
+    return result;
+}
+
+// Judgement names for each ruleset's hit count inputs, null hides the input
+const HIT_COUNT_LABELS = {
+    osu: { countGeki: null, count300: '300', countKatu: null, count100: '100', count50: '50' },
+    taiko: { countGeki: null, count300: 'Great', countKatu: null, count100: 'Good', count50: null },
+    fruits: { countGeki: null, count300: 'Fruits', countKatu: null, count100: 'Drops', count50: 'Droplets' },
+    mania: { countGeki: 'MAX', count300: '300', countKatu: '200', count100: '100', count50: '50' }
+};
+
+// Rename and show/hide the hit count inputs for the loaded score's ruleset
+function updateHitCountInputs(mode, isLazer) {
+    const labels = { ...(HIT_COUNT_LABELS[mode] || HIT_COUNT_LABELS.osu) };
+    
+    // The expanded stats row has inputs for the judgements it shows
+    const expandedLabels = expandedStats ? getExpandedJudgements({ statistics: {}, maximum_statistics: {} }, isLazer, mode).map(([, label]) => label) : [];
+    if (expandedLabels.includes('Geki')) labels.countGeki = 'Geki';
+    if (expandedLabels.includes('Katu')) labels.countKatu = 'Katu';
+    if (expandedLabels.includes('Droplet Miss')) labels.countKatu = 'Droplet Miss';
+    document.getElementById('expandedStatsInputs').style.display = expandedLabels.includes('Large Ticks') ? 'block' : 'none';
+
+    Object.entries(labels).forEach(([id, label]) => {
+        const col = document.getElementById(id).closest('.input-col');
+        col.style.display = label === null ? 'none' : 'flex';
+        if (label !== null) col.querySelector('label').textContent = label;
+    });
+    // Only osu!standard has slider ends
+    toggleSliderEndsInput(isLazer && mode === 'osu');
+}
+
 // Extract user data with overrides applied
 function extractUserData() {
     const userOverrides = getUserOverrides();
     
-    if (currentScoreData) {
-        const data = currentScoreData;
-        return {
-            username: userOverrides.username !== '' ? userOverrides.username : data.user.username,
-            userRank: userOverrides.userRank !== '' ? parseInt(userOverrides.userRank) : data.user.user_rank,
-            avatarUrl: userOverrides.avatarUrl !== '' ? userOverrides.avatarUrl : data.user.avatar_url,
-            country: data.user.country
-        };
-    } else if (currentMapData) {
+    // A looked up user replaces the score's user (or the guest), the rank/avatar inputs still win over it
+    const lookupUser = getLookedUpUser(userOverrides.username);
+    
+    if (currentScoreData || currentMapData) {
         // Default values for map preview
-        const defaultAvatarUrl = 'https://osu.ppy.sh/images/layout/avatar-guest.png';
-        return {
-            username: userOverrides.username || 'Guest',
-            userRank: userOverrides.userRank || 0,
-            avatarUrl: userOverrides.avatarUrl || defaultAvatarUrl,
+        const user = lookupUser || (currentScoreData ? currentScoreData.user : {
+            username: 'Guest',
+            user_rank: 0,
+            avatar_url: 'https://osu.ppy.sh/images/layout/avatar-guest.png',
             country: 'xx'
+        });
+        return {
+            // Use the looked up name so typing an ID or the wrong capitalisation still shows the real name
+            username: lookupUser ? lookupUser.username : (userOverrides.username || user.username),
+            userRank: userOverrides.userRank !== '' ? parseInt(userOverrides.userRank) : (user.user_rank || 0),
+            avatarUrl: userOverrides.avatarUrl !== '' ? userOverrides.avatarUrl : user.avatar_url,
+            country: user.country || 'xx'
         };
     }
     return null;
 }
 
+// Get the looked up user if it's still the one typed into the username override
+function getLookedUpUser(username) {
+    if (!lookedUpUser || username === '') return null;
+    const input = username.trim().toLowerCase();
+    return input === lookedUpUser.username.toLowerCase() || input === String(lookedUpUser.id) ? lookedUpUser : null;
+}
+
+// Look up a user by name or ID from the username override and redraw the card with their rank, avatar and flag
+async function lookupUser(nameOrId) {
+    nameOrId = nameOrId.trim();
+    if (nameOrId.length < 2 || getLookedUpUser(nameOrId)) return;
+    
+    try {
+        // Rank for the ruleset of the loaded score or map
+        const mode = extractScoreData()?.mode || 'osu';
+        const response = await fetch(`/api/user/${encodeURIComponent(nameOrId)}?mode=${mode}`);
+        if (response.status === 404) {
+            throw new Error(`Couldn't find the user "${nameOrId}" on osu!, only the name will be changed`);
+        }
+        if (!response.ok) {
+            throw new Error((await response.json()).error || 'Failed to fetch user data!');
+        }
+        const user = await response.json();
+        
+        // Ignore the response if the input changed while we were waiting for it
+        if (document.getElementById('usernameOverride').value.trim() !== nameOrId) return;
+        lookedUpUser = user;
+        
+        // Show the user's details as placeholders so it's clear where they came from
+        document.getElementById('userRankOverride').placeholder = user.user_rank ? user.user_rank.toString() : '';
+        document.getElementById('avatarUrlOverride').placeholder = user.avatar_url;
+        setStatus(`Found ${user.username}!`, 'success');
+        updateScorecard();
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        setStatus(error.message, 'error');
+    }
+}
+
 // Get beatmap data from current source
 function getBeatmapData() {
     if (currentScoreData) return currentScoreData.beatmap;
@@ -295,13 +653,67 @@ function getBeatmapData() {
     return null;
 }
 
+// Get the star rating, AR, OD, CS, HP, BPM and length with mods, only fetching again when the mods change
+async function getModdedAttributes(beatmap, mods, mode) {
+    if (!beatmap.beatmap_id || mods.length === 0) return null;
+    
+    const key = `${beatmap.beatmap_id}:${mode}:${JSON.stringify(mods)}`;
+    if (key !== moddedAttributesKey) {
+        moddedAttributesKey = key;
+        const params = new URLSearchParams({ mode, mods: JSON.stringify(mods) });
+        moddedAttributes = fetch(`/api/map/${beatmap.beatmap_id}/attributes?${params}`)
+            .then(response => response.ok ? response.json() : null)
+            .catch(error => {
+                console.error('Error fetching modded attributes:', error);
+                return null;
+            });
+    }
+    return moddedAttributes;
+}
+
+// Calculate pp (and pp if FC/SS) for the card's play on the server, only again when the play changes
+async function getCalculatedPerformance(beatmap, scoreData, isLazer) {
+    if (!beatmap.beatmap_id) return null;
+    
+    const params = new URLSearchParams({ mode: scoreData.mode, mods: JSON.stringify(scoreData.mods), lazer: isLazer });
+    // Map previews only send what was typed in, the server fills in the rest as the best case
+    const addCount = (key, value) => {
+        if (value > 0 || (currentScoreData && value !== undefined)) params.set(key, value);
+    };
+    addCount('count300', scoreData.c300);
+    addCount('count100', scoreData.c100);
+    addCount('count50', scoreData.c50);
+    addCount('countGeki', scoreData.cGeki);
+    addCount('countKatu', scoreData.cKatu);
+    addCount('countMiss', scoreData.misses);
+    if (scoreData.max_combo > 0) params.set('combo', scoreData.max_combo);
+    if (isLazer && scoreData.mode === 'osu') {
+        addCount('countSliderEnds', scoreData.cEnds);
+        addCount('largeTickHit', scoreData.statistics.large_tick_hit);
+        addCount('smallTickHit', scoreData.statistics.small_tick_hit);
+    }
+    
+    const key = `${beatmap.beatmap_id}?${params}`;
+    if (key !== calculatedPerformanceKey) {
+        calculatedPerformanceKey = key;
+        calculatedPerformance = fetch(`/api/map/${beatmap.beatmap_id}/pp?${params}`)
+            .then(response => response.ok ? response.json() : null)
+            .catch(error => {
+                console.error('Error calculating pp:', error);
+                return null;
+            });
+    }
+    return calculatedPerformance;
+}
+
 // Determine PP display text
 function getPpDisplay(scoreData, isLoved) {
     const ppOverride = document.getElementById('ppOverride').value;
     
     if (isLoved) {
         if (ppOverride === '' || ppOverride === null) {
-            return '♥';
+            // Calculated pp (if there is any) goes next to the heart
+            return scoreData.pp ? `${formatScore(Math.round(scoreData.pp))}pp ♥` : '♥';
         } else {
             return `${formatScore(Math.round(parseFloat(ppOverride)))}pp ♥`;
         }
@@ -313,6 +725,8 @@ function getPpDisplay(scoreData, isLoved) {
 
 // Determine background image URL
 async function getBackgroundUrl() {
+    if (uploadedBackground) return uploadedBackground;
+
     const backgroundOverride = document.getElementById('backgroundOverride').value;
     
     if (backgroundOverride) {
@@ -340,8 +754,110 @@ async function getBackgroundUrl() {
     return getProxiedImageUrl('background', fallbackBackgroundUrl);
 }
 
+// How the background is cropped and filtered by default, the Background panel changes these
+const DEFAULT_BACKGROUND_ADJUST = { focusX: 50, focusY: 50, zoom: 100, blur: 0, brightness: 100, tint: '#000000', tintStrength: 0 };
+
+// Background panel sliders as [input id, adjustment, unit]
+const BACKGROUND_SLIDERS = [
+    ['backgroundFocusX', 'focusX', '%'],
+    ['backgroundFocusY', 'focusY', '%'],
+    ['backgroundZoom', 'zoom', '%'],
+    ['backgroundBlur', 'blur', 'px'],
+    ['backgroundBrightness', 'brightness', '%'],
+    ['backgroundTintStrength', 'tintStrength', '%']
+];
+
+// Put the background's crop, zoom, blur, brightness and tint on the preview (the saved PNG picks them up from there)
+function applyBackgroundAdjust(preview) {
+    const { focusX, focusY, zoom, blur, brightness, tint, tintStrength } = backgroundAdjust;
+    preview.style.setProperty('--bg-focus', `${focusX}% ${focusY}%`);
+    // A blurred image fades out at its edges, so it's zoomed in a bit more to keep them off the card
+    preview.style.setProperty('--bg-scale', zoom / 100 * (1 + blur / 100));
+    preview.style.setProperty('--bg-filter', `blur(${blur}px) brightness(${brightness}%)`);
+    preview.style.setProperty('--bg-tint', tint);
+    preview.style.setProperty('--bg-tint-strength', tintStrength / 100);
+}
+
+// Show the current adjustments in the Background panel
+function renderBackgroundControls() {
+    BACKGROUND_SLIDERS.forEach(([id, key, unit]) => {
+        document.getElementById(id).value = backgroundAdjust[key];
+        document.getElementById(`${id}Value`).textContent = `${backgroundAdjust[key]}${unit}`;
+    });
+    document.getElementById('backgroundTint').value = backgroundAdjust.tint;
+    document.getElementById('clearBackgroundBtn').disabled = !uploadedBackground;
+}
+
+// Use an image from disk as the background, it stays in the browser instead of going through the image proxy
+async function uploadBackground(file) {
+    if (!file.type.startsWith('image/')) {
+        setStatus(`${file.name} isn't an image`, 'error');
+        return;
+    }
+    try {
+        uploadedBackground = await readBlobAsDataUrl(file);
+    } catch (error) {
+        console.error('Error reading background:', error);
+        setStatus(`${file.name} couldn't be read`, 'error');
+        return;
+    }
+    renderBackgroundControls();
+    await updateScorecard();
+    setStatus(`Using ${file.name} as the background`, 'success');
+}
+
 // Generate hit counts HTML based on lazer/classic layout
 function generateHitCountsHtml(scoreData, isLazer) {
+    const stat = (className, label, value) => `
+                <div class="stat ${className}">
+                    <span class="label">${label}</span>
+                    <span class="value">${value}</span>
+                </div>`;
+    // The expanded judgements go in a smaller row above combo/accuracy
+    const expandedJudgements = expandedStats ? getExpandedJudgements(scoreData, isLazer, scoreData.mode) : [];
+    const expandedRow = expandedJudgements.length === 0 ? '' : `
+            <div class="hit-count-row expanded-stats">${expandedJudgements.map(([className, label, value]) => stat(className, label, value)).join('')}
+            </div>`;
+    const comboAndAccuracy = `${expandedRow}
+            <div class="hit-count-row">${stat('stat-combo', 'Combo', `${formatScore(scoreData.max_combo)}x`)}${stat('stat-accuracy', 'Accuracy', `${formatAccuracy(scoreData.accuracy)}%`)}
+            </div>`;
+    const miss = stat('stat-miss', 'Miss', scoreData.misses);
+    
+    // Combo and accuracy stay when the judgements are hidden
+    if (!isShown('hitCounts')) {
+        return `
+            <div class="hit-count-row">${stat('stat-combo', 'Combo', `${formatScore(scoreData.max_combo)}x`)}${stat('stat-accuracy', 'Accuracy', `${formatAccuracy(scoreData.accuracy)}%`)}
+            </div>
+        `;
+    }
+    
+    // Other rulesets have their own judgements, lazer/classic scoring doesn't change them
+    if (scoreData.mode === 'taiko') {
+        return `
+            <!-- TAIKO LAYOUT: Great/Good - Miss - Combo/Accuracy -->
+            <div class="hit-count-row">${stat('stat-300', 'Great', scoreData.c300)}${stat('stat-100', 'Good', scoreData.c100)}
+            </div>
+            <div class="hit-count-row">${miss}
+            </div>${comboAndAccuracy}
+        `;
+    } else if (scoreData.mode === 'fruits') {
+        return `
+            <!-- CATCH LAYOUT: Fruits/Drops/Droplets - Miss - Combo/Accuracy -->
+            <div class="hit-count-row">${stat('stat-300', 'Fruits', scoreData.c300)}${stat('stat-100', 'Drops', scoreData.c100)}${stat('stat-50', 'Droplets', scoreData.c50)}
+            </div>
+            <div class="hit-count-row">${miss}
+            </div>${comboAndAccuracy}
+        `;
+    } else if (scoreData.mode === 'mania') {
+        return `
+            <!-- MANIA LAYOUT: MAX/300/200 - 100/50/Miss - Combo/Accuracy -->
+            <div class="hit-count-row">${stat('stat-max', 'MAX', scoreData.cGeki)}${stat('stat-300', '300', scoreData.c300)}${stat('stat-200', '200', scoreData.cKatu)}
+            </div>
+            <div class="hit-count-row">${stat('stat-100', '100', scoreData.c100)}${stat('stat-50', '50', scoreData.c50)}${miss}
+            </div>${comboAndAccuracy}
+        `;
+    }
+    
     if (isLazer) {
         return `
             <!-- LAZER LAYOUT: 300/100/50 - Miss/Slider Ends - Combo/Accuracy -->
@@ -363,22 +879,12 @@ function generateHitCountsHtml(scoreData, isLazer) {
                 <div class="stat stat-miss">
                     <span class="label">Miss</span>
                     <span class="value">${scoreData.misses}</span>
-                </div>
+                </div>${isShown('sliderEnds') ? `
                 <div class="stat stat-sliderend">
                     <span class="label">Slider Ends</span>
                     <span class="value">${scoreData.cEnds}/${scoreData.cSliders}</span>
-                </div>
-            </div>
-            <div class="hit-count-row">
-                <div class="stat stat-combo">
-                    <span class="label">Combo</span>
-                    <span class="value">${formatScore(scoreData.max_combo)}x</span>
-                </div>
-                <div class="stat stat-accuracy">
-                    <span class="label">Accuracy</span>
-                    <span class="value">${formatAccuracy(scoreData.accuracy)}%</span>
-                </div>
-            </div>
+                </div>` : ''}
+            </div>${comboAndAccuracy}
         `;
     } else {
         return `
@@ -402,170 +908,313 @@ function generateHitCountsHtml(scoreData, isLazer) {
                     <span class="label">Miss</span>
                     <span class="value">${scoreData.misses}</span>
                 </div>
-            </div>
-            <div class="hit-count-row">
-                <div class="stat stat-combo">
-                    <span class="label">Combo</span>
-                    <span class="value">${formatScore(scoreData.max_combo)}x</span>
-                </div>
-                <div class="stat stat-accuracy">
-                    <span class="label">Accuracy</span>
-                    <span class="value">${formatAccuracy(scoreData.accuracy)}%</span>
-                </div>
-            </div>
+            </div>${comboAndAccuracy}
         `;
     }
 }
 
-// Unified scorecard generation function
-async function generateScorecardHtml(scoreData, userData, beatmap, isLazer, ppDisplay, fullComboText, extraText, backgroundUrl, avatarUrl, leaderboardDisplay) {
-    const starColour = getGradientColour(beatmap.star_rating);
-    const srColour = beatmap.star_rating > 6.5 ? "ffe475" : "2c3b43";
+// Check if a card element hasn't been hidden
+function isShown(element) {
+    return !hiddenElements.has(element);
+}
 
-    if (smallScorecard){
-        return `
-        <div class="top-bar">
-            <div class="header">
-                <div class="map-info">
-                    <div class="map-title">${beatmap.title}</div>
-                    <div class="star-container">
-                        <div class="star-rating" style="background: ${starColour}; color: #${srColour}">★ ${beatmap.star_rating.toFixed(2)}&nbsp;</div>
-                        <div class="mapper">
-                            <span class="map-diff">${truncateText(beatmap.difficulty, 32)} </span>
-                            <span class="mapped-by">Mapped by: </span>
-                            <span class="mapper">${beatmap.creator}</span>
-                        </div>
-                    </div>
-                </div>
-                <div class="mod-icons">
-                    ${generateModIconsHtml(scoreData.mods)}
-                </div>
-            </div>
-        </div>
-        <div class="bottom-bar">
-            <div class="bottom-section">
-                <div class="rank-badge rank-${scoreData.rank}"></div>
-                <div class="stat stat-combo">
-                    <span class="label">Combo</span>
-                    <span class="value">${formatScore(scoreData.max_combo)}x</span>
-                </div>
-                <div class="stat stat-accuracy">
-                    <span class="label">Accuracy</span>
-                    <span class="value">${formatAccuracy(scoreData.accuracy)}%</span>
-                </div>
-                <div class="performance">
-                    <span class="pp">${ppDisplay}</span>
+// Load the hidden card elements remembered from the last visit
+function loadHiddenElements() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('hiddenElements')) || [];
+        return new Set(saved.filter(element => element in CARD_ELEMENTS));
+    } catch {
+        return new Set();
+    }
+}
+
+// Markup for each part of a scorecard, templates pick and arrange these
+const SCORECARD_SLOTS = {
+    mapInfo: card => `
+        <div class="map-info">
+            <div class="map-title">${escapeHtml(card.beatmap.title)}</div>
+            <div class="star-container">
+                <img class="ruleset-icon" src="./rulesets/${card.scoreData.mode}.svg" alt="${card.scoreData.mode}">
+                <div class="star-rating" style="background: ${card.starColour}; color: #${card.srColour}">★ ${card.beatmap.star_rating.toFixed(2)}&nbsp;</div>
+                <div class="mapper">${isShown('difficulty') ? `
+                    <span class="map-diff">${escapeHtml(truncateText(card.beatmap.difficulty, 32))} </span>` : ''}${isShown('mapper') ? `
+                    <span class="mapped-by">Mapped by: </span>
+                    <span class="mapper">${escapeHtml(card.beatmap.creator)}</span>` : ''}
                 </div>
             </div>
-        </div>
-        `;
-    }
-    
-    return `
+        </div>`,
+    modIcons: card => `
+        <div class="mod-icons">
+            ${isShown('mods') ? generateModIconsHtml(card.scoreData.mods) : ''}
+        </div>`,
+    topBar: card => `
         <div class="top-bar">
             <div class="header">
-                <div class="map-info">
-                    <div class="map-title">${beatmap.title}</div>
-                    <div class="star-container">
-                        <div class="star-rating" style="background: ${starColour}; color: #${srColour}">★ ${beatmap.star_rating.toFixed(2)}&nbsp;</div>
-                        <div class="mapper">
-                            <span class="map-diff">${truncateText(beatmap.difficulty, 32)} </span>
-                            <span class="mapped-by">Mapped by: </span>
-                            <span class="mapper">${beatmap.creator}</span>
-                        </div>
-                    </div>
-                </div>
-                <div class="mod-icons">
-                    ${generateModIconsHtml(scoreData.mods)}
-                </div>
+                ${SCORECARD_SLOTS.mapInfo(card)}
+                ${SCORECARD_SLOTS.modIcons(card)}
             </div>
+        </div>`,
+    background: () => `
+        <div class="background-image">
+            <img class="bg-img" src="" alt="" crossorigin="anonymous">
+            <div class="background-tint"></div>
         </div>
+        <div class="background-overlay"></div>`,
+    score: card => isShown('score') ? `
+        <div class="score">Score: ${formatScore(card.isLazer ? card.scoreData.score : (card.scoreData.classic_score || card.scoreData.score))}</div>` : '',
+    hitCounts: card => `
+        <div class="hit-counts">
+            ${generateHitCountsHtml(card.scoreData, card.isLazer)}
+        </div>`,
+    rank: card => {
+        const skinRank = getSkinRankUrl(card.scoreData.rank);
+        return `
+        <div class="rank-badge rank-${card.scoreData.rank}"${skinRank ? ` style="background-image: url('${skinRank}')"` : ''}></div>`;
+    },
+    performance: card => card.ppDisplay || card.fullComboText || card.extraText ? `
+        <div class="performance">
+            <div></div>
+            <div class="full-combo">${card.fullComboText}</div>
+            <div></div>
+            <div class="pp">${card.ppDisplay}</div>
+            <div class="extra">${card.extraText}</div>
+        </div>` : '',
+    middleSection: card => `
         <div class="middle-section">
-            <div class="background-image">
-                <img class="bg-img" src="" alt="" crossorigin="anonymous">
-            </div>
-            <div class="background-overlay"></div>
+            ${SCORECARD_SLOTS.background(card)}
             <div class="main-content">
                 <div class="left-section">
                     <div class="stats">
-                        <div class="score">Score: ${formatScore(isLazer ? scoreData.score : (scoreData.classic_score || scoreData.score))}</div>
-                        <div class="hit-counts">
-                            ${generateHitCountsHtml(scoreData, isLazer)}
-                        </div>
+                        ${SCORECARD_SLOTS.score(card)}
+                        ${SCORECARD_SLOTS.hitCounts(card)}
                     </div>
                 </div>
                 <div class="right-section">
-                    <div class="rank-badge rank-${scoreData.rank}"></div>
-                    <div class="performance">
-                        <div></div>
-                        <div class="full-combo">${fullComboText}</div>
-                        <div></div>
-                        <div class="pp">${ppDisplay}</div>
-                        <div class="extra">${extraText}</div>
-                    </div>
+                    ${SCORECARD_SLOTS.rank(card)}
+                    ${SCORECARD_SLOTS.performance(card)}
                 </div>
             </div>
-        </div>
+        </div>`,
+    user: card => `
+        <div class="user-info">${isShown('avatar') || isShown('flag') ? `
+            <div class="avatar-container${isShown('avatar') ? '' : ' no-avatar'}">${isShown('avatar') ? `
+                <img src="${card.avatarUrl}" alt="Avatar" class="avatar" crossorigin="anonymous">` : ''}${isShown('flag') ? `
+                <div class="flag" style="background-image: url('./flags/${escapeHtml(card.userData.country.toLowerCase())}.png')"></div>` : ''}
+            </div>` : ''}
+            <div class="user-details">
+                <div class="username">${escapeHtml(card.userData.username)}</div>${isShown('userRank') ? `
+                <div class="user-rank">#${formatScore(card.userData.userRank)}</div>` : ''}
+            </div>
+        </div>`,
+    leaderboard: card => isShown('leaderboard') ? `
+        <div class="leaderboard-details">
+            <div class="leaderboard">Leaderboard</div>
+            <div class="leaderboard-rank">#${card.leaderboardDisplay}</div>
+        </div>` : '',
+    bottomBar: card => `
         <div class="bottom-bar">
             <div class="bottom-section">
-                <div class="user-info">
-                    <div class="avatar-container">
-                        <img src="${avatarUrl}" alt="Avatar" class="avatar" crossorigin="anonymous">
-                        <div class="flag" style="background-image: url('./flags/${userData.country.toLowerCase()}.png')"></div>
-                    </div>
-                    <div class="user-details">
-                        <div class="username">${userData.username}</div>
-                        <div class="user-rank">#${formatScore(userData.userRank)}</div>
-                    </div>
+                ${SCORECARD_SLOTS.user(card)}
+                ${SCORECARD_SLOTS.leaderboard(card)}
+            </div>
+        </div>`,
+    compactBottomBar: card => `
+        <div class="bottom-bar">
+            <div class="bottom-section">
+                ${SCORECARD_SLOTS.rank(card)}
+                <div class="stat stat-combo">
+                    <span class="label">Combo</span>
+                    <span class="value">${formatScore(card.scoreData.max_combo)}x</span>
                 </div>
-                <div class="leaderboard-details">
-                    <div class="leaderboard">Leaderboard</div>
-                    <div class="leaderboard-rank">#${leaderboardDisplay}</div>
+                <div class="stat stat-accuracy">
+                    <span class="label">Accuracy</span>
+                    <span class="value">${formatAccuracy(card.scoreData.accuracy)}%</span>
+                </div>
+                <div class="performance">
+                    <span class="pp">${card.ppDisplay}</span>
                 </div>
             </div>
-        </div>
-    `;
+        </div>`,
+    summary: card => {
+        const { scoreData, beatmap, userData } = card;
+        const mods = isShown('mods') && scoreData.mods.length ? ` +${getShownMods(scoreData.mods).map(mod => {
+            const badge = getModSettingsBadge(mod);
+            return badge ? `${mod.acronym} (${escapeHtml(badge)})` : mod.acronym;
+        }).join(', ')}` : '';
+        const rank = { X: 'SS', XH: 'SS', SH: 'S' }[scoreData.rank] || scoreData.rank;
+        // Hidden elements drop out of their line
+        const line = (...parts) => parts.filter(Boolean).join(' · ');
+        const totals = line(
+            isShown('score') && `Score: ${formatScore(card.isLazer ? scoreData.score : (scoreData.classic_score || scoreData.score))}`,
+            isShown('leaderboard') && `Leaderboard #${card.leaderboardDisplay}`
+        );
+        return `
+        <div class="summary">
+            <div class="summary-title">${escapeHtml(beatmap.title)}${isShown('difficulty') ? ` [${escapeHtml(beatmap.difficulty)}]` : ''}${mods}</div>
+            <div class="summary-line summary-muted">${line(`★ ${beatmap.star_rating.toFixed(2)}`, isShown('mapper') && `Mapped by ${escapeHtml(beatmap.creator)}`)}</div>
+            <div class="summary-line">${line(
+                `${escapeHtml(userData.username)}${isShown('userRank') ? ` (#${formatScore(userData.userRank)})` : ''}`,
+                rank, `${formatAccuracy(scoreData.accuracy)}%`, `${formatScore(scoreData.max_combo)}x`,
+                isShown('hitCounts') && `${scoreData.misses} miss`
+            )}</div>
+            ${totals ? `<div class="summary-line summary-muted">${totals}</div>` : ''}
+            ${card.ppDisplay || card.fullComboText ? `<div class="summary-pp">${card.ppDisplay} <span class="summary-fc">${card.fullComboText}</span></div>` : ''}
+            ${card.extraText ? `<div class="summary-line">${card.extraText}</div>` : ''}
+        </div>`;
+    }
+};
+
+// Scorecard layouts. slots are names from SCORECARD_SLOTS or { region, slots } groups,
+// width/height are the card's size in px (height is the minimum when it grows with its content),
+// titleWidth is the room the map title has before mod icons when modsBesideTitle is set
+const SCORECARD_TEMPLATES = {
+    standard: {
+        name: 'Standard',
+        className: '',
+        slots: ['topBar', 'middleSection', 'bottomBar'],
+        width: 800,
+        height: 600,
+        growWithContent: true,
+        titleWidth: 760,
+        modsBesideTitle: true
+    },
+    small: {
+        name: 'Small',
+        className: 'small-scorecard',
+        slots: ['topBar', 'compactBottomBar'],
+        width: 800,
+        height: null,
+        titleWidth: 760,
+        modsBesideTitle: true
+    },
+    banner: {
+        name: 'Wide Banner',
+        className: 'banner-scorecard',
+        slots: [
+            'background',
+            { region: 'rank', slots: ['rank'] },
+            { region: 'details', slots: ['mapInfo', 'score', 'hitCounts'] },
+            { region: 'side', slots: ['modIcons', 'performance', 'user'] }
+        ],
+        width: 800,
+        height: 260,
+        titleWidth: 400
+    },
+    story: {
+        name: 'Vertical Story',
+        className: 'story-scorecard',
+        slots: [
+            'background',
+            { region: 'top', slots: ['mapInfo', 'modIcons'] },
+            { region: 'centre', slots: ['rank', 'score', 'performance'] },
+            { region: 'stats', slots: ['hitCounts'] },
+            { region: 'footer', slots: ['user', 'leaderboard'] }
+        ],
+        width: 450,
+        height: 800,
+        titleWidth: 400
+    },
+    minimal: {
+        name: 'Minimal (Text Only)',
+        className: 'minimal-scorecard',
+        slots: ['summary'],
+        width: 800,
+        height: null,
+        titleWidth: null
+    }
+};
+
+// Get the selected template, falling back to the standard one
+function getScorecardTemplate() {
+    return SCORECARD_TEMPLATES[scorecardTemplate] || SCORECARD_TEMPLATES.standard;
+}
+
+// Build a template's slots, wrapping regions in their own container
+function renderTemplateSlots(slots, card) {
+    return slots.map(slot => typeof slot === 'string'
+        ? SCORECARD_SLOTS[slot](card)
+        : `<div class="template-region region-${slot.region}">${renderTemplateSlots(slot.slots, card)}</div>`
+    ).join('');
+}
+
+// Unified scorecard generation function
+async function generateScorecardHtml(scoreData, userData, beatmap, isLazer, ppDisplay, fullComboText, extraText, backgroundUrl, avatarUrl, leaderboardDisplay) {
+    const starColour = getGradientColour(beatmap.star_rating);
+    const card = {
+        scoreData, userData, beatmap, isLazer, ppDisplay, fullComboText, extraText, backgroundUrl, avatarUrl, leaderboardDisplay,
+        starColour,
+        srColour: getStarTextColour(beatmap.star_rating, starColour)
+    };
+
+    return renderTemplateSlots(getScorecardTemplate().slots, card);
 }
 
 // Main unified update function
 async function updateScorecard() {
     const data = currentScoreData || currentMapData;
     if (!data) return;
+    const sequence = ++renderSequence;
+    const isOutdated = () => sequence !== renderSequence;
 
-    const extraText = document.getElementById('extraText').value.replace(/\n/g, '<br>');
+    let extraText = isShown('extraText') ? document.getElementById('extraText').value.replace(/\n/g, '<br>') : '';
     const fullComboOverride = document.getElementById('fullComboOverride').checked;
     const lazerScoringOverride = document.getElementById('lazerScoringOverride').checked;
     const unrankedOverride = document.getElementById('unrankedOverride').checked;
 
     const scoreData = extractScoreData();
     const userData = extractUserData();
-    const beatmap = getBeatmapData();
+    const mapData = getBeatmapData();
     
-    if (!scoreData || !userData || !beatmap) return;
+    if (!scoreData || !userData || !mapData) return;
+    
+    // Star rating (and its colour) for the mods on the card
+    const beatmap = { ...mapData, ...(await getModdedAttributes(mapData, scoreData.mods, scoreData.mode)) };
+    if (isOutdated()) return;
 
     const leaderboardDisplay = unrankedOverride ? "UNRANKED" : formatScore(scoreData.leaderboard);
 
     const isLoved = beatmap.status === 'loved';
     const isLazer = currentScoreData ? lazerScoringOverride : lazerScoringOverride;
+    updateHitCountInputs(scoreData.mode, isLazer);
+    showOverrideWarnings(scoreData.warnings);
+    
+    // Work pp out offline when osu! has none for the map or the play was edited (a typed in pp still wins)
+    const needsPp = document.getElementById('ppScoreOverride').value === ''
+        && (scoreData.edited || !['ranked', 'approved'].includes(beatmap.status));
+    const performance = needsPp || showFcPp ? await getCalculatedPerformance(mapData, scoreData, isLazer) : null;
+    if (isOutdated()) return;
+    if (needsPp && performance) scoreData.pp = performance.pp;
     
-    const ppDisplay = getPpDisplay(scoreData, isLoved);
-    const fullComboText = (fullComboOverride || (currentScoreData && scoreData.full_combo)) ? "Full Combo!" : "";
+    // pp if FC goes above the extra text when the play wasn't one
+    if (showFcPp && performance && Math.round(performance.pp_fc) > Math.round(scoreData.pp)) {
+        extraText = [`${formatScore(Math.round(performance.pp_fc))}pp if FC`, extraText].filter(Boolean).join('<br>');
+    }
+    
+    const ppDisplay = isShown('pp') ? getPpDisplay(scoreData, isLoved) : '';
+    const fullComboText = isShown('fullCombo') && (fullComboOverride || (currentScoreData && scoreData.full_combo)) ? "Full Combo!" : "";
     
     const backgroundUrl = await getBackgroundUrl();
+    if (isOutdated()) return;
     const avatarUrl = getProxiedImageUrl('avatar', userData.avatarUrl);
+    const themeColours = await getThemeColours(backgroundUrl);
+    if (isOutdated()) return;
 
     const scorecardHtml = await generateScorecardHtml(
         scoreData, userData, beatmap, isLazer, ppDisplay, 
         fullComboText, extraText, backgroundUrl, avatarUrl, leaderboardDisplay
     );
+    if (isOutdated()) return;
 
     // Update the preview container
     const preview = document.getElementById('scorecard-preview');
     preview.innerHTML = `
-        <div id="generated-scorecard" class="scorecard ${smallScorecard ? 'small-scorecard' : 'scorecard'}">
+        <div id="generated-scorecard" class="scorecard ${getScorecardTemplate().className}">
             ${scorecardHtml}
         </div>
     `;
+    applyThemeColours(preview, themeColours);
+    applyCardLayout(preview);
+    applyBackgroundAdjust(preview);
 
     // Apply post-processing
     setTimeout(() => {
@@ -576,7 +1225,7 @@ async function updateScorecard() {
         }
         
         adjustRightSectionSizes();
-        adjustScorecardHeight(extraText, fullComboText !== "");
+        adjustScorecardHeight(extraText, fullComboText !== "", preview.querySelector('.expanded-stats') !== null);
     }, 50);
 
     preview.style.display = 'flex';
@@ -595,20 +1244,6 @@ async function updateScorecard() {
     }
 }
 
-// Parse mods string into array format expected by the scorecard
-function parseModsString(modsString) {
-    if (!modsString || modsString.trim() === '') return [];
-    
-    // Split by comma and clean up each mod code
-    const modCodes = modsString.split(',').map(mod => mod.trim().toUpperCase());
-    
-    // Validate mod codes (should be 2 letters)
-    const validMods = modCodes.filter(mod => /^[A-Z]{2}$/.test(mod));
-    
-    // Convert to format expected by generateModIconsHtml
-    return validMods.map(code => ({ acronym: code }));
-}
-
 // Validate and get override values from input fields
 function getScoreOverrides() {
     return {
@@ -616,13 +1251,17 @@ function getScoreOverrides() {
         count300: document.getElementById('count300').value,
         count100: document.getElementById('count100').value,
         count50: document.getElementById('count50').value,
+        countGeki: document.getElementById('countGeki').value,
+        countKatu: document.getElementById('countKatu').value,
         countMiss: document.getElementById('countMiss').value,
         countSliderEnds: document.getElementById('countSliderEnds').value,
+        statistics: Object.fromEntries(LAZER_TICK_INPUTS.map(([id, key]) => [key, document.getElementById(id).value])),
         combo: document.getElementById('comboOverride').value,
         accuracy: document.getElementById('accuracyOverride').value,
         pp: document.getElementById('ppScoreOverride').value,
         rank: document.getElementById('rankOverride').value,
         mods: document.getElementById('modsOverride').value,
+        modSettings: Object.fromEntries(MOD_SETTING_INPUTS.map(([id]) => [id, document.getElementById(id).value])),
         leaderboard: document.getElementById('leaderboardOverride').value
     };
 }
@@ -643,38 +1282,38 @@ function setStatus(message, type) {
     status.className = `status-${type}`;
 }
 
+// Get the server (and relax/autopilot variant) picked next to the score ID
+function getSelectedServer() {
+    const [server, variant] = document.getElementById('serverSelect').value.split(':');
+    return { server, variant: variant || '' };
+}
+
+// Build the API URL for a score on the selected server
+function getScoreApiUrl(scoreId) {
+    const { server, variant } = getSelectedServer();
+    if (server === 'osu') {
+        return `/api/score/${scoreId}`;
+    }
+    return `/api/${server}/score/${scoreId}${variant ? `?variant=${variant}` : ''}`;
+}
+
 // Fetch score data from server API
 async function fetchScoreData(scoreId) {
-    try {
-        setStatus('Loading score data...', 'loading');
-        
-        // Make request to score API endpoint
-        const response = await fetch(`/api/score/${scoreId}`);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch score data!`);
-        }
-        
-        // Parse response and store score data
-        const data = await response.json();
-        currentScoreData = data;
-        currentMapData = null;
-        
-        // Show/hide PP input for loved maps
-        const ppInputGroup = document.getElementById('ppInputGroup');
-        const scoreOverrides = document.getElementById('scoreOverrides');
-        
-        if (data.beatmap.status === 'loved') {
-            ppInputGroup.style.display = 'block';
-        } else {
-            ppInputGroup.style.display = 'none';
-        }
+    try {
+        setStatus('Loading score data...', 'loading');
         
-        // Show score override fields when score data is loaded
-        scoreOverrides.style.display = 'block';
-        populateOverrideFields(data);
+        // Make request to score API endpoint
+        const response = await fetch(getScoreApiUrl(scoreId));
+        if (response.status === 503) {
+            // Rate limited by osu!, the server says how long to wait
+            throw new Error((await response.json()).error);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch score data!`);
+        }
         
-        // Update scorecard with score data
-        updateScorecard();
+        // Parse response and show the score
+        showScoreData(await response.json());
         setStatus('Score loaded successfully!', 'success');
         
     } catch (error) {
@@ -690,6 +1329,161 @@ async function fetchScoreData(scoreId) {
     }
 }
 
+// Store score data (from the API or a replay) and draw its scorecard
+function showScoreData(data) {
+    currentScoreData = data;
+    currentMapData = null;
+    
+    // Show/hide PP input for loved maps
+    const ppInputGroup = document.getElementById('ppInputGroup');
+    const scoreOverrides = document.getElementById('scoreOverrides');
+    
+    if (data.beatmap.status === 'loved') {
+        ppInputGroup.style.display = 'block';
+    } else {
+        ppInputGroup.style.display = 'none';
+    }
+    
+    // Show score override fields when score data is loaded
+    scoreOverrides.style.display = 'block';
+    populateOverrideFields(data);
+    
+    // Update scorecard with score data
+    updateScorecard();
+}
+
+// Upload an .osr replay and build the scorecard from it
+async function uploadReplay(file) {
+    if (!file) return;
+    if (!file.name.toLowerCase().endsWith('.osr')) {
+        setStatus('Only .osr replay files can be uploaded', 'error');
+        return;
+    }
+    
+    try {
+        setStatus('Reading replay...', 'loading');
+        const response = await fetch('/api/replay', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        if (!response.ok) {
+            throw new Error((await response.json()).error || 'Failed to read replay!');
+        }
+        
+        // Replays aren't linked to a score ID
+        document.getElementById('scoreId').value = '';
+        showScoreData(await response.json());
+        setStatus('Replay loaded successfully!', 'success');
+    } catch (error) {
+        console.error('Error uploading replay:', error);
+        setStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Escape text before putting it into generated HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Fetch a player's best, recent or first place plays for the score picker
+async function loadPickerScores() {
+    const player = document.getElementById('pickerUser').value.trim();
+    const type = document.getElementById('pickerType').value;
+    const mode = document.getElementById('pickerMode').value;
+    const includeFails = document.getElementById('pickerIncludeFails').checked;
+    const list = document.getElementById('scorePickerList');
+    if (player === '') {
+        setStatus('Enter a player name or ID to list their plays', 'error');
+        return;
+    }
+    
+    try {
+        setStatus('Loading plays...', 'loading');
+        const response = await fetch(`/api/user/${encodeURIComponent(player)}/scores/${type}?mode=${mode}&limit=50&includeFails=${includeFails}`);
+        if (!response.ok) {
+            throw new Error((await response.json()).error || 'Failed to fetch plays!');
+        }
+        const scores = await response.json();
+        
+        renderScoreList(list, scores, score => `
+            <div>${escapeHtml(score.beatmap.artist)} - ${escapeHtml(score.beatmap.title)}</div>
+            <div class="score-picker-details">[${escapeHtml(score.beatmap.difficulty)}] ${score.beatmap.star_rating.toFixed(2)}★ ${formatScoreListDetails(score)}</div>
+        `);
+        setStatus(`Loaded ${scores.length} plays!`, 'success');
+    } catch (error) {
+        console.error('Error fetching plays:', error);
+        setStatus(`Error: ${error.message}`, 'error');
+        list.innerHTML = '';
+    }
+}
+
+// Fill a score list (picker or leaderboard), describe() returns the middle part of each row
+function renderScoreList(list, scores, describe) {
+    if (scores.length === 0) {
+        list.innerHTML = '<div class="score-picker-empty">No plays found</div>';
+        return;
+    }
+    list.innerHTML = scores.map(score => `
+        <div class="score-picker-row${score.passed ? '' : ' failed'}" data-score-id="${score.id}" title="Load this score">
+            <div class="score-picker-rank">${score.passed ? escapeHtml(score.rank) : 'F'}</div>
+            <div class="score-picker-map">${describe(score)}</div>
+            <div class="score-picker-pp">${score.pp ? Math.round(score.pp) + 'pp' : '-'}</div>
+        </div>
+    `).join('');
+}
+
+// Mods and accuracy shown under each play in a score list
+function formatScoreListDetails(score) {
+    return `${score.mods.length ? '+' + escapeHtml(score.mods.join('')) : ''} ${formatAccuracy(score.accuracy)}%`;
+}
+
+// Fetch the leaderboard of the loaded map with the picked filters
+async function loadMapLeaderboard() {
+    const mapId = parseMapId(document.getElementById('mapId').value);
+    const list = document.getElementById('leaderboardList');
+    if (!mapId) {
+        setStatus('Enter a beatmap URL or ID to see its leaderboard', 'error');
+        return;
+    }
+    
+    // Only send the filters that are set
+    const params = new URLSearchParams({
+        mode: document.getElementById('leaderboardMode').value,
+        mods: document.getElementById('leaderboardMods').value.trim(),
+        country: document.getElementById('leaderboardCountry').value.trim(),
+        scoring: document.getElementById('leaderboardScoring').value
+    });
+    [...params.keys()].filter(key => params.get(key) === '').forEach(key => params.delete(key));
+    
+    try {
+        setStatus('Loading leaderboard...', 'loading');
+        const response = await fetch(`/api/map/${mapId}/scores?${params}`);
+        if (!response.ok) {
+            throw new Error((await response.json()).error || 'Failed to fetch leaderboard!');
+        }
+        const scores = await response.json();
+        
+        renderScoreList(list, scores, score => `
+            <div>#${score.position} <span class="leaderboard-flag" style="background-image: url('./flags/${escapeHtml(score.user.country.toLowerCase())}.png')"></span>${escapeHtml(score.user.username)}</div>
+            <div class="score-picker-details">${formatScore(score.score)} ${formatScoreListDetails(score)}</div>
+        `);
+        setStatus(`Loaded ${scores.length} scores!`, 'success');
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        setStatus(`Error: ${error.message}`, 'error');
+        list.innerHTML = '';
+    }
+}
+
+// Load a picked score the same way as pasting its URL
+function pickScore(scoreId) {
+    // Picked scores always come from osu! itself
+    document.getElementById('serverSelect').value = 'osu';
+    document.getElementById('scoreId').value = scoreId;
+    fetchScoreData(scoreId);
+}
+
 // Populate override fields with current score data as placeholders
 function populateOverrideFields(data) {
     // Set placeholder values to show current values
@@ -697,20 +1491,29 @@ function populateOverrideFields(data) {
     document.getElementById('count300').placeholder = data.score.c300.toString();
     document.getElementById('count100').placeholder = data.score.c100.toString();
     document.getElementById('count50').placeholder = data.score.c50.toString();
+    document.getElementById('countGeki').placeholder = (data.score.cGeki || 0).toString();
+    document.getElementById('countKatu').placeholder = (data.score.cKatu || 0).toString();
     document.getElementById('countMiss').placeholder = data.score.misses.toString();
     document.getElementById('countSliderEnds').placeholder = data.score.cEnds.toString();
+    LAZER_TICK_INPUTS.forEach(([id, key]) => {
+        document.getElementById(id).placeholder = (data.score.statistics?.[key] || 0).toString();
+    });
     document.getElementById('comboOverride').placeholder = data.score.max_combo.toString();
     document.getElementById('accuracyOverride').placeholder = formatAccuracy(data.score.accuracy);
     document.getElementById('ppScoreOverride').placeholder = Math.round(data.score.pp).toString();
     document.getElementById('leaderboardOverride').placeholder = data.score.leaderboard.toString();
     
     // Set mods placeholder
-    const modsString = data.score.mods.map(mod => mod.acronym).join(',');
+    const modsString = getShownMods(data.score.mods).map(mod => mod.acronym).join(',');
     document.getElementById('modsOverride').placeholder = modsString || 'No mods';
+    MOD_SETTING_INPUTS.forEach(([id, acronyms, key]) => {
+        const mod = data.score.mods.find(mod => acronyms.includes(mod.acronym) && mod.settings?.[key] !== undefined);
+        document.getElementById(id).placeholder = mod ? mod.settings[key].toString() : 'Default';
+    });
     
     // Set user override placeholders
     document.getElementById('usernameOverride').placeholder = data.user.username;
-    document.getElementById('userRankOverride').placeholder = data.user.user_rank.toString();
+    document.getElementById('userRankOverride').placeholder = (data.user.user_rank || 0).toString();
     document.getElementById('avatarUrlOverride').placeholder = data.user.avatar_url;
     
     // Set lazer checkbox based on score type
@@ -726,14 +1529,30 @@ function parseScoreId(input) {
     if (/^\d+$/.test(trimmed)) {
         return trimmed
     }
-    const parsedUrl = /^https?:\/\/osu\.ppy\.sh\/scores\/(\d+)(?:[/?#].*)?$/.exec(trimmed);
-    if (parsedUrl) {
+
+    // osu! links can have the ruleset in them (/scores/osu/123), private servers also link replays as /web/replays/123
+    const parsedUrl = /^https?:\/\/[^/]+\/(?:scores\/(?:[a-z]+\/)?|web\/replays\/)(\d+)(?:[/?#].*)?$/.exec(trimmed);
+    if (parsedUrl && getScoreUrlServer(trimmed)) {
         return parsedUrl[1]
     }
 
     return null
 }
 
+// Sites of the servers in the server dropdown, so a pasted score link can pick its server
+const SCORE_URL_HOSTS = {
+    osu: 'osu.ppy.sh',
+    ripple: 'ripple.moe',
+    akatsuki: 'akatsuki.gg',
+    gatari: 'osu.gatari.pw'
+};
+
+// Find the server a score link is from, null for plain IDs and links to other sites
+function getScoreUrlServer(input) {
+    const host = /^https?:\/\/(?:www\.)?([^/?#]+)/.exec(String(input).trim())?.[1];
+    return Object.keys(SCORE_URL_HOSTS).find(server => SCORE_URL_HOSTS[server] === host) || null;
+}
+
 // A function to return a map ID from either an ID or URL input
 function parseMapId(input) {
     const trimmed = String(input).trim();
@@ -743,7 +1562,8 @@ function parseMapId(input) {
         return trimmed
     }
 
-    const parsedUrl = /^https?:\/\/osu\.ppy\.sh\/beatmapsets\/\d+#\w+\/(\d+)(?:[/?#].*)?$/.exec(trimmed)
+    // Takes beatmap set links with the difficulty in them and /beatmaps/ or /b/ links
+    const parsedUrl = /^https?:\/\/osu\.ppy\.sh\/(?:beatmapsets\/\d+#\w+|beatmaps|b)\/(\d+)(?:[/?#].*)?$/.exec(trimmed)
     if (parsedUrl) {
         return parsedUrl[1]
     }
@@ -786,41 +1606,28 @@ function setupScoreValidation() {
     // Mods input validation
     const modsInput = document.getElementById('modsOverride');
     modsInput.addEventListener('input', function() {
-        let value = this.value.toUpperCase();
+        const warnings = [];
+        parseModsString(this.value, warnings);
         
-        // Allow typing before validating
-        this.value = value;
-        
-        // Visual feedback only if the field appears to be complete
-        if (value === '' || /^([A-Z]{2})(,[A-Z]{2})*$/.test(value) || /^[A-Z]{1}$/.test(value) || /^[A-Z]{2},$/.test(value)) {
+        // Red while anything can't be read or can't be played together
+        if (warnings.length === 0) {
             this.style.borderColor = '#4CAF50';
             this.style.backgroundColor = '';
-        } else if (value.length > 2 && !value.includes(',')) {
-            // Only show error if they've typed more than 2 characterss without comma
+        } else {
             this.style.borderColor = '#f44336';
             this.style.backgroundColor = '#2c1a1dff';
         }
     });
     
-    // Validation
+    // Tidy combined strings and bitmasks into HD,DT form (NM for no mods), JSON is kept for its settings
     modsInput.addEventListener('blur', function() {
-        const value = this.value.toUpperCase();
-        
-        // Clean up the value
-        if (value !== '') {
-            const parts = value.split(',');
-            const validParts = parts.filter(part => part.length === 0 || /^[A-Z]{2}$/.test(part.trim()));
-            const cleaned = validParts.map(part => part.trim()).filter(part => part.length === 2).join(',');
-            this.value = cleaned;
-        }
+        const value = this.value.trim();
+        if (value === '' || value.startsWith('[') || value.startsWith('{')) return;
         
-        // Final validation styling
-        if (this.value === '' || /^([A-Z]{2})(,[A-Z]{2})*$/.test(this.value)) {
-            this.style.borderColor = '#4CAF50';
-            this.style.backgroundColor = '';
-        } else {
-            this.style.borderColor = '#f44336';
-            this.style.backgroundColor = '#2c1a1dff';
+        const warnings = [];
+        const mods = parseModsString(value, warnings);
+        if (warnings.length === 0) {
+            this.value = getShownMods(mods).map(mod => mod.acronym).join(',') || 'NM';
         }
     });
     
@@ -848,7 +1655,7 @@ function setupScoreValidation() {
     });
     
     // Hit count validation (non-negative)
-    ['count300', 'count100', 'count50', 'countMiss', 'countSliderEnds', 'comboOverride', 'leaderboardOverride', 'userRankOverride'].forEach(id => {
+    ['count300', 'count100', 'count50', 'countGeki', 'countKatu', 'countMiss', 'countSliderEnds', ...LAZER_TICK_INPUTS.map(([id]) => id), 'comboOverride', 'leaderboardOverride', 'userRankOverride'].forEach(id => {
         const input = document.getElementById(id);
         if (input) {
             input.addEventListener('input', function() {
@@ -900,15 +1707,16 @@ function getTextWidth(text, font) {
     return Math.ceil(metrics.width);
 }
 
-// Function to calculate available width for title based on mod icons
+// Function to calculate available width for title based on the template and mod icons
 function calculateTitleSpace() {
-    const scorecardWidth = 800;
-    const horizontalPadding = 40;
+    const template = getScorecardTemplate();
+    if (!template.modsBesideTitle) return template.titleWidth;
+
     const modIcons = document.querySelectorAll('.mod-icon');
     const modIconsWidth = modIcons.length * 70;
     const minSpacing = modIcons.length > 0 ? 20 : 0;
     
-    const availableWidth = scorecardWidth - horizontalPadding - modIconsWidth - minSpacing;
+    const availableWidth = template.titleWidth - modIconsWidth - minSpacing;
     
     return Math.max(200, availableWidth);
 }
@@ -916,10 +1724,12 @@ function calculateTitleSpace() {
 // Function to adjust title size and truncation
 function adjustTitleSize(title) {
     const titleElement = document.querySelector('.map-title');
-    if (!titleElement) return title;
+    if (!titleElement || !getScorecardTemplate().titleWidth) return title;
 
     const availableWidth = calculateTitleSpace();
-    const font = `600 35px 'Fredoka', cursive`; 
+    // Measure with the title's own size and font, templates and the font picker change them
+    const style = getComputedStyle(titleElement);
+    const font = `${style.fontWeight || 600} ${style.fontSize || '35px'} ${style.fontFamily || getFontStack(cardFonts.title)}`;
     
     // Check if title fits at normal size
     const textWidth = getTextWidth(title, font);
@@ -961,18 +1771,28 @@ function adjustRightSectionSizes() {
 }
 
 // Function to calculate required height for extra content
-function calculateRequiredHeight(extraText, hasFullCombo) {
-    const baseHeight = 600;
+function calculateRequiredHeight(extraText, hasFullCombo, hasExpandedStats) {
+    const baseHeight = getScorecardTemplate().height;
     let additionalHeight = 0;
     
-    // Calculate extra height needed for multi line extra text
+    // The expanded stats row adds a row under the hit counts
+    if (hasExpandedStats) {
+        additionalHeight += 72;
+    }
+    
+    // Calculate extra height needed for multi line extra text, a hidden pp leaves room for two more lines
     if (extraText) {
         const lines = extraText.split('<br>').length;
-        if (lines > 2) {
-            additionalHeight += (lines - 2) * 30;
+        const freeLines = isShown('pp') ? 2 : 4;
+        if (lines > freeLines) {
+            additionalHeight += Math.round((lines - freeLines) * 30 * getLineHeightRatio(cardFonts.labels));
         }
     }
     
+    // Hidden parts can leave both columns shorter than the card
+    const rows = document.querySelectorAll('.scorecard .hit-count-row:not(.expanded-stats)').length;
+    additionalHeight -= getHiddenSpace(isShown('score'), rows, document.querySelector('.scorecard .performance') !== null);
+    
     // Calculate extra height needed if full combo text overflows
     if (hasFullCombo) {
         // Extremely simplified calculation
@@ -990,15 +1810,539 @@ function calculateRequiredHeight(extraText, hasFullCombo) {
 }
 
 // Function to adjust scorecard height
-function adjustScorecardHeight(extraText, hasFullCombo) {
+function adjustScorecardHeight(extraText, hasFullCombo, hasExpandedStats) {
     const scorecard = document.querySelector('.scorecard');
     if (!scorecard) return;
     
-    const requiredHeight = calculateRequiredHeight(extraText, hasFullCombo);
+    // Only templates that grow with their content need working out, the rest keep their own size
+    const template = getScorecardTemplate();
+    if (!template.growWithContent) {
+        scorecard.style.height = template.height ? `${template.height}px` : '';
+        return;
+    }
+    
+    const requiredHeight = calculateRequiredHeight(extraText, hasFullCombo, hasExpandedStats);
     scorecard.style.height = `${requiredHeight}px`;
 }
 
 
+// Fonts offered in the font pickers, the Google Fonts ones are loaded the first time they're picked
+const DEFAULT_FONT = 'Fredoka';
+const FONT_CHOICES = ['Fredoka', 'Nunito', 'Poppins', 'Rubik', 'Exo 2', 'Comfortaa', 'Quicksand', 'Roboto Mono'];
+
+// Font picker for each part of the card and the CSS variable it sets
+const FONT_TARGETS = {
+    title: ['titleFontSelect', '--title-font'],
+    numbers: ['numbersFontSelect', '--number-font'],
+    labels: ['labelsFontSelect', '--label-font']
+};
+
+// CSS font-family for a picked font, falling back to the default one
+function getFontStack(family) {
+    return `"${family}", '${DEFAULT_FONT}', cursive`;
+}
+
+// Load a font from Google Fonts if it's one of the choices, then wait until it can be drawn
+async function loadCardFont(family) {
+    if (FONT_CHOICES.includes(family) && family !== DEFAULT_FONT && !document.querySelector(`link[data-font="${family}"]`)) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        // Cross-origin so html-to-image can read the @font-face rules and embed them
+        link.crossOrigin = 'anonymous';
+        link.href = `https://fonts.googleapis.com/css2?family=${family.replace(/ /g, '+')}:wght@400;600&display=swap`;
+        link.dataset.font = family;
+        await new Promise(resolve => {
+            link.onload = link.onerror = resolve;
+            document.head.appendChild(link);
+        });
+    }
+    await Promise.all([400, 600].map(weight => document.fonts.load(`${weight} 35px "${family}"`))).catch(() => {});
+}
+
+// Apply the picked fonts to the preview and refit the card with their metrics
+async function applyCardFonts() {
+    await Promise.all(Object.values(cardFonts).map(loadCardFont));
+    const preview = document.getElementById('scorecard-preview');
+    Object.entries(FONT_TARGETS).forEach(([target, [, variable]]) => {
+        preview.style.setProperty(variable, getFontStack(cardFonts[target]));
+    });
+    updateScorecard();
+}
+
+// How much taller a font's lines are than the default font's, for the height fitting
+function getLineHeightRatio(family) {
+    const context = document.createElement('canvas').getContext('2d');
+    const lineHeight = fontFamily => {
+        context.font = `600 35px ${fontFamily}`;
+        const metrics = context.measureText('Hg');
+        return metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent;
+    };
+    return lineHeight(getFontStack(family)) / lineHeight(`'${DEFAULT_FONT}'`) || 1;
+}
+
+// Add an uploaded TTF/OTF/WOFF2 font to the font pickers
+async function addUploadedFont(file) {
+    if (!/\.(ttf|otf|woff2?)$/i.test(file.name)) {
+        setStatus('Fonts have to be TTF, OTF or WOFF2 files', 'error');
+        return;
+    }
+
+    // The file name is the family name, without anything that would break out of the CSS string
+    const family = file.name.replace(/\.[^.]+$/, '').replace(/["'\\<>]/g, '').trim() || 'Uploaded Font';
+    try {
+        const face = new FontFace(family, await file.arrayBuffer());
+        document.fonts.add(await face.load());
+    } catch (error) {
+        console.error('Error loading uploaded font:', error);
+        setStatus(`${file.name} couldn't be loaded as a font`, 'error');
+        return;
+    }
+
+    // html-to-image only embeds fonts from stylesheets, so it also gets an @font-face rule with the file as a data URL
+    const style = document.createElement('style');
+    style.textContent = `@font-face { font-family: "${family}"; src: url(${await readBlobAsDataUrl(file)}); }`;
+    document.head.appendChild(style);
+
+    Object.values(FONT_TARGETS).forEach(([selectId]) => {
+        const select = document.getElementById(selectId);
+        if (![...select.options].some(option => option.value === family)) {
+            select.add(new Option(`${family} (uploaded)`, family));
+        }
+    });
+    setStatus(`Added ${family}, pick it in the font lists`, 'success');
+}
+
+// Theme colours and the CSS variable each one sets (defaults in :root in styles.css)
+const THEME_COLOURS = {
+    bar: '--card-bar',
+    background: '--card-background',
+    overlay: '--card-overlay',
+    text: '--card-text',
+    muted: '--card-muted',
+    mapper: '--card-mapper',
+    accent: '--card-accent',
+    fullCombo: '--card-full-combo',
+    great: '--stat-great',
+    ok: '--stat-ok',
+    meh: '--stat-meh',
+    miss: '--stat-miss',
+    tick: '--stat-tick',
+    max: '--stat-max',
+    good: '--stat-good'
+};
+
+// Built-in themes, Dark is the card's original look
+const THEME_PRESETS = {
+    dark: {
+        name: 'Dark',
+        colours: {
+            bar: '#2e3538', background: '#1f292e', overlay: '#000000', text: '#ffffff', muted: '#d9e3e6', mapper: '#77b8d9',
+            accent: '#ed89ff', fullCombo: '#f0e460', great: '#4dabf7', ok: '#51cf66', meh: '#ffd43b', miss: '#ff6b6b',
+            tick: '#965dc1', max: '#ffe475', good: '#38d9a9'
+        },
+        overlayOpacity: 0.7
+    },
+    light: {
+        name: 'Light',
+        colours: {
+            bar: '#e9eef1', background: '#f7f9fa', overlay: '#ffffff', text: '#1f292e', muted: '#4f5f66', mapper: '#1f6f99',
+            accent: '#b23fc9', fullCombo: '#b08900', great: '#1c7ed6', ok: '#2b8a3e', meh: '#e67700', miss: '#e03131',
+            tick: '#7048a8', max: '#c99700', good: '#0ca678'
+        },
+        overlayOpacity: 0.75
+    },
+    stable: {
+        name: 'osu!stable',
+        colours: {
+            bar: '#111111', background: '#000000', overlay: '#000000', text: '#ffffff', muted: '#cccccc', mapper: '#66ccff',
+            accent: '#ff66aa', fullCombo: '#ffcc22', great: '#66ccff', ok: '#88b300', meh: '#ffcc22', miss: '#ed1121',
+            tick: '#aa88ff', max: '#ffffff', good: '#99eeff'
+        },
+        overlayOpacity: 0.6
+    },
+    lazer: {
+        name: 'osu!lazer',
+        colours: {
+            bar: '#302e38', background: '#242229', overlay: '#1c1a21', text: '#ffffff', muted: '#c4bfd6', mapper: '#66ccff',
+            accent: '#ff66ab', fullCombo: '#ffd966', great: '#66ccff', ok: '#b3d944', meh: '#ffcc22', miss: '#ed1121',
+            tick: '#bb99ff', max: '#99eeff', good: '#88b300'
+        },
+        overlayOpacity: 0.75
+    }
+};
+
+// osu!'s own star rating spectrum, the starting point for a custom gradient
+const OSU_STAR_GRADIENT = [
+    [0.1, '#4290fb'], [1.25, '#4fc0ff'], [2, '#4fffd5'], [2.5, '#7cff4f'], [3.3, '#f6f05c'], [4.2, '#ff8068'],
+    [4.9, '#ff4e6f'], [5.8, '#c645b8'], [6.7, '#6563de'], [7.7, '#18158e'], [9, '#000000']
+];
+
+// Check a theme (e.g. one pasted in as JSON) and fill in anything it leaves out from the Dark theme
+function normaliseTheme(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('A theme has to be a JSON object');
+    }
+    const isColour = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+    const colours = { ...THEME_PRESETS.dark.colours };
+    Object.entries(raw.colours || {}).forEach(([key, value]) => {
+        if (!(key in THEME_COLOURS)) throw new Error(`Unknown theme colour "${key}" (available: ${Object.keys(THEME_COLOURS).join(', ')})`);
+        if (!isColour(value)) throw new Error(`Theme colour ${key} has to be a #rrggbb colour`);
+        colours[key] = value.toLowerCase();
+    });
+
+    let gradient = null;
+    if (raw.gradient !== undefined && raw.gradient !== null) {
+        const validStop = stop => Array.isArray(stop) && Number.isFinite(stop[0]) && stop[0] >= 0 && stop[0] <= 10 && isColour(stop[1]);
+        if (!Array.isArray(raw.gradient) || raw.gradient.length < 2 || !raw.gradient.every(validStop)) {
+            throw new Error('The star gradient has to be a list of at least two [stars, "#rrggbb"] stops from 0 to 10 stars');
+        }
+        gradient = raw.gradient.map(([stars, colour]) => [stars, colour.toLowerCase()]).sort((a, b) => a[0] - b[0]);
+    }
+
+    const overlayOpacity = Number(raw.overlayOpacity ?? THEME_PRESETS.dark.overlayOpacity);
+    return {
+        name: String(raw.name || 'Custom').slice(0, 50),
+        colours,
+        overlayOpacity: Number.isFinite(overlayOpacity) ? Math.min(1, Math.max(0, overlayOpacity)) : THEME_PRESETS.dark.overlayOpacity,
+        backgroundAccent: raw.backgroundAccent === true,
+        gradient
+    };
+}
+
+// Find the most common colour in an image, skipping dark, light and grey pixels so the accent stands out
+async function getDominantColour(imageUrl) {
+    if (dominantColours.has(imageUrl)) return dominantColours.get(imageUrl);
+
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = () => reject(new Error('Could not load the background'));
+        img.src = imageUrl;
+    });
+
+    // A small copy is plenty for counting colours
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    context.drawImage(img, 0, 0, size, size);
+    const pixels = context.getImageData(0, 0, size, size).data;
+
+    // Count pixels in buckets of 16 levels per channel, keeping the sums to average each bucket
+    const buckets = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        if (max < 40 || min > 225 || max - min < 30) continue;
+
+        const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+        const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count++;
+        bucket.r += r;
+        bucket.g += g;
+        bucket.b += b;
+        buckets.set(key, bucket);
+    }
+
+    const top = [...buckets.values()].sort((a, b) => b.count - a.count)[0];
+    const colour = top ? rgbToHex(top.r / top.count, top.g / top.count, top.b / top.count) : null;
+    dominantColours.set(imageUrl, colour);
+    return colour;
+}
+
+// Work out the theme's colours for the card, the accent can come from the background instead
+async function getThemeColours(backgroundUrl) {
+    const colours = { ...cardTheme.colours };
+    if (cardTheme.backgroundAccent && backgroundUrl) {
+        try {
+            colours.accent = await getDominantColour(backgroundUrl) || colours.accent;
+        } catch (error) {
+            console.warn('Could not get the background colour:', error);
+        }
+    }
+    return colours;
+}
+
+// Put the theme's colours on the preview
+function applyThemeColours(preview, colours) {
+    Object.entries(THEME_COLOURS).forEach(([key, variable]) => preview.style.setProperty(variable, colours[key]));
+    preview.style.setProperty('--card-overlay-opacity', cardTheme.overlayOpacity);
+}
+
+// Load the named themes saved in the browser
+function getSavedThemes() {
+    try {
+        return JSON.parse(localStorage.getItem('cardThemes')) || {};
+    } catch {
+        return {};
+    }
+}
+
+// Load the theme that was in use last time, falling back to Dark
+function loadActiveTheme() {
+    try {
+        return normaliseTheme(JSON.parse(localStorage.getItem('cardTheme')));
+    } catch {
+        return normaliseTheme(THEME_PRESETS.dark);
+    }
+}
+
+// Fill the theme dropdown with the presets and saved themes
+function refreshThemeSelect(selected = '') {
+    const themeSelect = document.getElementById('themeSelect');
+    const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+    themeSelect.innerHTML = `
+        <option value="">Current theme</option>
+        <optgroup label="Presets">${Object.entries(THEME_PRESETS).map(([id, theme]) => option(`preset:${id}`, theme.name)).join('')}</optgroup>
+        <optgroup label="Saved">${Object.keys(getSavedThemes()).map(name => option(`saved:${name}`, name)).join('')}</optgroup>
+    `;
+    themeSelect.value = selected;
+}
+
+// Show the theme's accent, toggles and star gradient in the Theme panel
+function renderThemeControls() {
+    document.getElementById('accentColour').value = cardTheme.colours.accent;
+    document.getElementById('backgroundAccentToggle').checked = cardTheme.backgroundAccent;
+    document.getElementById('themeName').value = cardTheme.name;
+
+    const stops = cardTheme.gradient;
+    document.getElementById('customGradientToggle').checked = stops !== null;
+    document.getElementById('gradientEditor').style.display = stops ? 'block' : 'none';
+    if (!stops) return;
+
+    document.getElementById('gradientPreview').style.background =
+        `linear-gradient(90deg, ${stops.map(([stars, colour]) => `${colour} ${stars * 10}%`).join(', ')})`;
+    document.getElementById('gradientStops').innerHTML = stops.map(([stars, colour], index) => `
+        <div class="gradient-stop" data-index="${index}">
+            <input type="number" class="stop-stars" value="${stars}" min="0" max="10" step="0.1" title="Stars">
+            <input type="color" class="stop-colour" value="${colour}" title="Colour">
+            <button class="stop-remove" title="Remove stop" ${stops.length <= 2 ? 'disabled' : ''}>✕</button>
+        </div>`).join('');
+}
+
+// Warn about gradient stops where neither SR text colour reaches WCAG AA contrast (4.5:1)
+function checkGradientContrast() {
+    if (!cardTheme.gradient) return;
+    const unreadable = cardTheme.gradient
+        .filter(([, colour]) => Math.max(getContrastRatio(colour, '#ffe475'), getContrastRatio(colour, '#2c3b43')) < 4.5)
+        .map(([stars]) => `${stars}★`);
+    if (unreadable.length > 0) {
+        setStatus(`The star rating text will be hard to read at ${unreadable.join(', ')}, try a lighter or darker colour`, 'warning');
+    }
+}
+
+// Remember the theme and redraw the card with it
+async function onThemeChanged() {
+    localStorage.setItem('cardTheme', JSON.stringify(cardTheme));
+    renderThemeControls();
+    await updateScorecard();
+}
+
+// Switch to a preset or saved theme from the dropdown
+function selectTheme(value) {
+    const [source, name] = [value.slice(0, value.indexOf(':')), value.slice(value.indexOf(':') + 1)];
+    const theme = source === 'preset' ? THEME_PRESETS[name] : getSavedThemes()[name];
+    if (!theme) return;
+    cardTheme = normaliseTheme(theme);
+    onThemeChanged();
+}
+
+// Save the theme under the name typed in
+function saveCardTheme() {
+    const name = document.getElementById('themeName').value.trim();
+    if (!name) {
+        setStatus('Enter a name for the theme first', 'error');
+        return;
+    }
+
+    cardTheme.name = name;
+    const themes = getSavedThemes();
+    themes[name] = cardTheme;
+    localStorage.setItem('cardThemes', JSON.stringify(themes));
+    localStorage.setItem('cardTheme', JSON.stringify(cardTheme));
+    refreshThemeSelect(`saved:${name}`);
+    setStatus(`Theme "${name}" saved`, 'success');
+}
+
+// Put the theme's JSON in the box (and on the clipboard) to share it
+async function exportCardTheme() {
+    const json = JSON.stringify(cardTheme, null, 2);
+    document.getElementById('themeJson').value = json;
+    try {
+        await navigator.clipboard.writeText(json);
+        setStatus('Theme JSON copied to the clipboard', 'success');
+    } catch {
+        setStatus('Theme JSON is in the box below, copy it from there', 'success');
+    }
+}
+
+// Use a theme pasted in as JSON
+function importCardTheme() {
+    try {
+        cardTheme = normaliseTheme(JSON.parse(document.getElementById('themeJson').value));
+    } catch (error) {
+        setStatus(`Couldn't import the theme: ${error.message}`, 'error');
+        return;
+    }
+    onThemeChanged();
+    setStatus(`Theme "${cardTheme.name}" imported`, 'success');
+}
+
+// Grid the layout editor snaps to, in px
+const LAYOUT_GRID = 10;
+
+// Move and scale the card's elements to match the layout, adding the editor's handles in edit mode
+function applyCardLayout(preview) {
+    Object.entries(LAYOUT_ELEMENTS).forEach(([key, selector]) => {
+        const element = preview.querySelector(selector);
+        if (!element) return;
+
+        const { x = 0, y = 0, scale = 1 } = cardLayout[key] || {};
+        element.style.transformOrigin = 'top left';
+        element.style.transform = x || y || scale !== 1 ? `translate(${x}px, ${y}px) scale(${scale})` : '';
+
+        element.dataset.layoutKey = key;
+        element.classList.toggle('layout-editable', layoutEditing);
+        element.querySelector(':scope > .layout-handle')?.remove();
+        if (layoutEditing) {
+            const handle = document.createElement('span');
+            handle.className = 'layout-handle';
+            element.appendChild(handle);
+        }
+    });
+}
+
+// Switch the layout editor on or off
+function setLayoutEditing(editing) {
+    layoutEditing = editing;
+    document.getElementById('layoutEditToggle').checked = editing;
+    const preview = document.getElementById('scorecard-preview');
+    preview.classList.toggle('layout-editing', editing);
+    applyCardLayout(preview);
+}
+
+// Start dragging (or resizing from the corner handle) an element in the layout editor
+function startLayoutDrag(event) {
+    const element = layoutEditing && event.target.closest('.layout-editable');
+    if (!element) return;
+    event.preventDefault();
+
+    const key = element.dataset.layoutKey;
+    const { x = 0, y = 0, scale = 1 } = cardLayout[key] || {};
+    // Where the element sits without the layout's offset, so snapping lines it up with the card's grid
+    const cardRect = document.getElementById('generated-scorecard').getBoundingClientRect();
+    const rect = element.getBoundingClientRect();
+    layoutDrag = {
+        element, key, x, y, scale,
+        resizing: event.target.classList.contains('layout-handle'),
+        pointerX: event.clientX,
+        pointerY: event.clientY,
+        left: rect.left - cardRect.left - x,
+        top: rect.top - cardRect.top - y,
+        width: element.offsetWidth
+    };
+    element.setPointerCapture(event.pointerId);
+}
+
+// Move or resize the dragged element, snapping to the grid unless Alt is held
+function moveLayoutDrag(event) {
+    if (!layoutDrag) return;
+
+    const { element, key, left, top, width } = layoutDrag;
+    const snap = value => event.altKey ? Math.round(value) : Math.round(value / LAYOUT_GRID) * LAYOUT_GRID;
+    const deltaX = event.clientX - layoutDrag.pointerX;
+    const deltaY = event.clientY - layoutDrag.pointerY;
+    const layout = { x: layoutDrag.x, y: layoutDrag.y, scale: layoutDrag.scale };
+
+    if (layoutDrag.resizing) {
+        // The handle moves the right edge, the height follows to keep the element's proportions
+        const newWidth = Math.max(LAYOUT_GRID, snap(left + layout.x + width * layout.scale + deltaX) - left - layout.x);
+        layout.scale = Math.min(LAYOUT_SCALE_RANGE[1], Math.max(LAYOUT_SCALE_RANGE[0], newWidth / width));
+    } else {
+        layout.x = snap(left + layout.x + deltaX) - left;
+        layout.y = snap(top + layout.y + deltaY) - top;
+    }
+
+    cardLayout[key] = layout;
+    element.style.transform = `translate(${layout.x}px, ${layout.y}px) scale(${layout.scale})`;
+}
+
+// Load the named layouts saved from the layout editor
+function getSavedLayouts() {
+    try {
+        return JSON.parse(localStorage.getItem('cardLayouts')) || {};
+    } catch {
+        return {};
+    }
+}
+
+// Fill the saved layout dropdown
+function refreshLayoutSelect(selected = '') {
+    const layoutSelect = document.getElementById('layoutSelect');
+    layoutSelect.innerHTML = '<option value="">Default</option>';
+    Object.keys(getSavedLayouts()).forEach(name => layoutSelect.add(new Option(name, name)));
+    layoutSelect.value = selected;
+}
+
+// Switch to a saved layout (and the template it was made for), or back to the default one
+function loadCardLayout(name) {
+    const layout = getSavedLayouts()[name];
+    cardLayout = layout ? { ...layout.elements } : {};
+    if (layout && layout.template in SCORECARD_TEMPLATES) {
+        scorecardTemplate = layout.template;
+        document.getElementById('templateSelect').value = layout.template;
+    }
+    document.getElementById('layoutSelect').value = layout ? name : '';
+    document.getElementById('layoutName').value = layout ? name : '';
+    localStorage.setItem('activeLayout', layout ? name : '');
+    updateScorecard();
+}
+
+// Save the current layout under the name typed in
+function saveCardLayout() {
+    const name = document.getElementById('layoutName').value.trim();
+    if (!name) {
+        setStatus('Enter a name for the layout first', 'error');
+        return;
+    }
+
+    const layouts = getSavedLayouts();
+    layouts[name] = { template: scorecardTemplate, elements: cardLayout };
+    localStorage.setItem('cardLayouts', JSON.stringify(layouts));
+    localStorage.setItem('activeLayout', name);
+    refreshLayoutSelect(name);
+    setStatus(`Layout "${name}" saved`, 'success');
+}
+
+// Delete the selected saved layout
+function deleteCardLayout() {
+    const name = document.getElementById('layoutSelect').value;
+    if (!name) return;
+
+    const layouts = getSavedLayouts();
+    delete layouts[name];
+    localStorage.setItem('cardLayouts', JSON.stringify(layouts));
+    refreshLayoutSelect();
+    loadCardLayout('');
+    setStatus(`Layout "${name}" deleted`, 'success');
+}
+
+// Put the layout's JSON in the box (and on the clipboard) so it can be passed to the PNG route as ?layout=
+async function copyCardLayout() {
+    const json = JSON.stringify({ template: scorecardTemplate, elements: cardLayout });
+    document.getElementById('layoutJson').value = json;
+    try {
+        await navigator.clipboard.writeText(json);
+        setStatus('Layout JSON copied to the clipboard', 'success');
+    } catch {
+        setStatus('Layout JSON is in the box below, copy it from there', 'success');
+    }
+}
+
 // Save scorecard as PNG image using html-to-image library
 async function saveAsPNG() {
     // Tell the server that a scorecard has been generated (incremenet counter)
@@ -1012,6 +2356,8 @@ async function saveAsPNG() {
 
     try {
         setStatus('Generating PNG...', 'loading');
+        // The editor's outlines and handles shouldn't end up in the image
+        if (layoutEditing) setLayoutEditing(false);
         // Ensure all images are loaded before capture
         await waitForImages(scorecard);
 
@@ -1134,9 +2480,10 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Get score override input elements
     const scoreOverrideInputs = [
-        'scoreOverride', 'count300', 'count100', 'count50', 'countMiss', 'countSliderEnds',
+        'scoreOverride', 'count300', 'count100', 'count50', 'countGeki', 'countKatu', 'countMiss', 'countSliderEnds',
+        ...LAZER_TICK_INPUTS.map(([id]) => id),
         'comboOverride', 'accuracyOverride', 'ppScoreOverride', 'rankOverride',
-        'modsOverride', 'leaderboardOverride'
+        'modsOverride', ...MOD_SETTING_INPUTS.map(([id]) => id), 'leaderboardOverride'
     ].map(id => document.getElementById(id));
     
     // Get user override input elements
@@ -1153,18 +2500,76 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Score ID input handler with debouncing
     scoreIdInput.addEventListener('input', function() {
-        const inputScoreId = this.value.trim();
-        const scoreId = inputScoreId.match(/\d+$/);
+        const scoreId = parseScoreId(this.value);
         if (scoreId) {
+            // A link from another server switches to it
+            const server = getScoreUrlServer(this.value);
+            if (server && server !== getSelectedServer().server) {
+                document.getElementById('serverSelect').value = server;
+            }
             // Debounce score fetching to avoid excessive API calls
             debounce(() => fetchScoreData(scoreId), 500);
         }
     });
     
+    // Server selector handler, reload the score from the newly picked server
+    document.getElementById('serverSelect').addEventListener('change', function() {
+        const scoreId = parseScoreId(scoreIdInput.value);
+        if (scoreId) {
+            fetchScoreData(scoreId);
+        }
+    });
+    
+    // Username override handler, looks the user up once they stop typing
+    let userLookupTimer;
+    document.getElementById('usernameOverride').addEventListener('input', function() {
+        clearTimeout(userLookupTimer);
+        userLookupTimer = setTimeout(() => lookupUser(this.value), 600);
+    });
+    
+    // Replay drop zone handlers, clicking it opens the file picker instead
+    const replayDrop = document.getElementById('replayDrop');
+    const replayInput = document.getElementById('replayInput');
+    replayDrop.addEventListener('click', () => replayInput.click());
+    replayInput.addEventListener('change', function() {
+        uploadReplay(this.files[0]);
+        this.value = '';
+    });
+    replayDrop.addEventListener('dragover', function(event) {
+        event.preventDefault();
+        this.classList.add('dragging');
+    });
+    replayDrop.addEventListener('dragleave', function() {
+        this.classList.remove('dragging');
+    });
+    replayDrop.addEventListener('drop', function(event) {
+        event.preventDefault();
+        this.classList.remove('dragging');
+        uploadReplay(event.dataTransfer.files[0]);
+    });
+    
+    // Score picker handlers
+    document.getElementById('pickerLoadBtn').addEventListener('click', loadPickerScores);
+    document.getElementById('pickerUser').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') loadPickerScores();
+    });
+    document.getElementById('pickerType').addEventListener('change', function() {
+        // Only recent plays can include fails
+        document.getElementById('pickerFailsGroup').style.display = this.value === 'recent' ? 'flex' : 'none';
+    });
+    
+    // Map leaderboard handlers, rows load the same way as the score picker
+    document.getElementById('leaderboardLoadBtn').addEventListener('click', loadMapLeaderboard);
+    ['scorePickerList', 'leaderboardList'].forEach(id => {
+        document.getElementById(id).addEventListener('click', function(event) {
+            const row = event.target.closest('.score-picker-row');
+            if (row) pickScore(row.dataset.scoreId);
+        });
+    });
+    
     // Map ID input handler with debouncing
     mapIdInput.addEventListener('input', function() {
-        const inputMapId = this.value.trim();
-        const mapId = inputMapId.match(/\d+$/);
+        const mapId = parseMapId(this.value);
         if (mapId) {
             // Debounce map fetching to avoid excessive API calls
             debounce(() => fetchMapData(mapId), 500);
@@ -1216,10 +2621,10 @@ document.addEventListener('DOMContentLoaded', async function() {
     saveBtn.addEventListener('click', saveAsPNG);
 });
 
-// Toggle dropdown functionality for overrides section
-function toggleDropdown() {
-    const dropdownContent = document.getElementById('dropdownContent');
-    const arrow = document.getElementById('arrow');
+// Toggle dropdown functionality for the overrides and score picker sections
+function toggleDropdown(contentId = 'dropdownContent', arrowId = 'arrow') {
+    const dropdownContent = document.getElementById(contentId);
+    const arrow = document.getElementById(arrowId);
     
     if (dropdownContent.style.display === 'none' || dropdownContent.style.display === '') {
         dropdownContent.style.display = 'block';
@@ -1230,8 +2635,185 @@ function toggleDropdown() {
     }
 }
 
-// Toggle small scorecard
-document.getElementById("smallScorecardToggle").addEventListener("change", function() {
-    smallScorecard = this.checked;
+// Fill the template dropdown from the registry and switch layouts with it
+const templateSelect = document.getElementById("templateSelect");
+Object.entries(SCORECARD_TEMPLATES).forEach(([id, template]) => templateSelect.add(new Option(template.name, id)));
+templateSelect.addEventListener("change", function() {
+    scorecardTemplate = this.value;
+    updateScorecard();
+})
+
+// Fill the Visibility panel with a switch for each card element
+hiddenElements = loadHiddenElements();
+const visibilityToggles = document.getElementById("visibilityToggles");
+visibilityToggles.innerHTML = Object.entries(CARD_ELEMENTS).map(([element, name]) => `
+    <div class="input-group toggle-group">
+        <span>${name}</span>
+        <label class="switch">
+            <input type="checkbox" data-element="${element}" ${isShown(element) ? 'checked' : ''}>
+            <span class="slider round"></span>
+        </label>
+    </div>`).join('');
+visibilityToggles.addEventListener("change", function(event) {
+    const element = event.target.dataset.element;
+    if (event.target.checked) {
+        hiddenElements.delete(element);
+    } else {
+        hiddenElements.add(element);
+    }
+    localStorage.setItem('hiddenElements', JSON.stringify([...hiddenElements]));
+    updateScorecard();
+})
+
+// Fill the font pickers and apply the picked fonts
+Object.entries(FONT_TARGETS).forEach(([target, [selectId]]) => {
+    const select = document.getElementById(selectId);
+    FONT_CHOICES.forEach(family => select.add(new Option(family, family)));
+    select.value = cardFonts[target];
+    select.addEventListener("change", function() {
+        cardFonts[target] = this.value;
+        applyCardFonts();
+    });
+});
+document.getElementById("fontUpload").addEventListener("change", async function() {
+    for (const file of this.files) {
+        await addUploadedFont(file);
+    }
+    this.value = '';
+})
+
+// Theme panel: presets and saved themes, accent, star gradient and sharing as JSON
+cardTheme = loadActiveTheme();
+refreshThemeSelect();
+renderThemeControls();
+document.getElementById("themeSelect").addEventListener("change", function() {
+    selectTheme(this.value);
+})
+document.getElementById("accentColour").addEventListener("change", function() {
+    cardTheme.colours.accent = this.value;
+    cardTheme.backgroundAccent = false;
+    onThemeChanged();
+})
+document.getElementById("backgroundAccentToggle").addEventListener("change", function() {
+    cardTheme.backgroundAccent = this.checked;
+    onThemeChanged();
+})
+document.getElementById("customGradientToggle").addEventListener("change", function() {
+    cardTheme.gradient = this.checked ? OSU_STAR_GRADIENT.map(stop => [...stop]) : null;
+    onThemeChanged();
+})
+const gradientStops = document.getElementById("gradientStops");
+gradientStops.addEventListener("change", async function(event) {
+    const stop = event.target.closest('.gradient-stop');
+    if (!stop) return;
+    const index = Number(stop.dataset.index);
+    if (event.target.classList.contains('stop-stars')) {
+        cardTheme.gradient[index][0] = Math.min(10, Math.max(0, parseFloat(event.target.value) || 0));
+        cardTheme.gradient.sort((a, b) => a[0] - b[0]);
+    } else {
+        cardTheme.gradient[index][1] = event.target.value;
+    }
+    // After the redraw, which clears older warnings
+    await onThemeChanged();
+    checkGradientContrast();
+})
+gradientStops.addEventListener("click", function(event) {
+    const stop = event.target.closest('.stop-remove') && event.target.closest('.gradient-stop');
+    if (!stop || cardTheme.gradient.length <= 2) return;
+    cardTheme.gradient.splice(Number(stop.dataset.index), 1);
+    onThemeChanged();
+})
+document.getElementById("addGradientStopBtn").addEventListener("click", function() {
+    // New stops go in the middle of the widest gap, in the colour the gradient already has there
+    const stops = cardTheme.gradient;
+    let widest = 0;
+    for (let i = 1; i < stops.length - 1; i++) {
+        if (stops[i + 1][0] - stops[i][0] > stops[widest + 1][0] - stops[widest][0]) widest = i;
+    }
+    const stars = Math.round((stops[widest][0] + stops[widest + 1][0]) * 5) / 10;
+    stops.splice(widest + 1, 0, [stars, getThemeGradientColour(stars, stops)]);
+    onThemeChanged();
+})
+document.getElementById("saveThemeBtn").addEventListener("click", saveCardTheme);
+document.getElementById("exportThemeBtn").addEventListener("click", exportCardTheme);
+document.getElementById("importThemeBtn").addEventListener("click", importCardTheme);
+
+// Background panel: uploaded background, crop and filters
+backgroundAdjust = { ...DEFAULT_BACKGROUND_ADJUST };
+renderBackgroundControls();
+BACKGROUND_SLIDERS.forEach(([id, key]) => {
+    document.getElementById(id).addEventListener("input", function() {
+        backgroundAdjust[key] = Number(this.value);
+        renderBackgroundControls();
+        applyBackgroundAdjust(document.getElementById('scorecard-preview'));
+    })
+})
+document.getElementById("backgroundTint").addEventListener("input", function() {
+    backgroundAdjust.tint = this.value;
+    applyBackgroundAdjust(document.getElementById('scorecard-preview'));
+})
+document.getElementById("backgroundUpload").addEventListener("change", async function() {
+    if (this.files[0]) await uploadBackground(this.files[0]);
+    this.value = '';
+})
+document.getElementById("clearBackgroundBtn").addEventListener("click", function() {
+    uploadedBackground = null;
+    renderBackgroundControls();
+    updateScorecard();
+})
+document.getElementById("resetBackgroundBtn").addEventListener("click", function() {
+    backgroundAdjust = { ...DEFAULT_BACKGROUND_ADJUST };
+    renderBackgroundControls();
+    applyBackgroundAdjust(document.getElementById('scorecard-preview'));
+})
+
+// Icon sets and skin import
+importedSkin = loadImportedSkin();
+iconSet = localStorage.getItem('iconSet') || 'current';
+if (iconSet === 'skin' && !importedSkin) iconSet = 'current';
+refreshIconSetSelect();
+document.getElementById("iconSetSelect").addEventListener("change", function() {
+    iconSet = this.value;
+    localStorage.setItem('iconSet', iconSet);
+    updateScorecard();
+})
+document.getElementById("skinUpload").addEventListener("change", async function() {
+    if (this.files[0]) await importSkin(this.files[0]);
+    this.value = '';
+})
+
+// Layout editor: edit mode, dragging in the preview and the saved layouts
+document.getElementById("layoutEditToggle").addEventListener("change", function() {
+    setLayoutEditing(this.checked);
+})
+const scorecardPreview = document.getElementById("scorecard-preview");
+scorecardPreview.addEventListener("pointerdown", startLayoutDrag);
+scorecardPreview.addEventListener("pointermove", moveLayoutDrag);
+scorecardPreview.addEventListener("pointerup", () => { layoutDrag = null; });
+scorecardPreview.addEventListener("pointercancel", () => { layoutDrag = null; });
+document.getElementById("layoutSelect").addEventListener("change", function() {
+    loadCardLayout(this.value);
+})
+document.getElementById("saveLayoutBtn").addEventListener("click", saveCardLayout);
+document.getElementById("deleteLayoutBtn").addEventListener("click", deleteCardLayout);
+document.getElementById("resetLayoutBtn").addEventListener("click", function() {
+    cardLayout = {};
+    updateScorecard();
+})
+document.getElementById("copyLayoutBtn").addEventListener("click", copyCardLayout);
+
+// Pick up the layout that was in use last time
+refreshLayoutSelect();
+loadCardLayout(localStorage.getItem('activeLayout') || '');
+
+// Toggle the expanded stats row
+document.getElementById("expandedStatsToggle").addEventListener("change", function() {
+    expandedStats = this.checked;
+    updateScorecard();
+})
+
+// Toggle the pp if FC line
+document.getElementById("fcPpToggle").addEventListener("change", function() {
+    showFcPp = this.checked;
     updateScorecard();
 })
\ No newline at end of file
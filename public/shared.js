@@ -0,0 +1,328 @@
+// Card data, mod parsing and score maths used by both the page and the server
+// The page loads this before script.js, server.js require()s it
+
+// Every mod with an icon in ./icons, in the order osu! shows them
+const MOD_ORDER = [
+    'EZ', 'NF', 'HT', 'DC', 'NR',
+    'HD', 'HR', 'SD', 'PF', 'DT', 'NC', 'FL', 'FI', 'CO', 'BL', 'ST', 'AC',
+    'TP', 'DA', 'CL', 'RD', 'MR', 'AL', 'SG', 'IN', 'CS', 'HO', 'SR', 'DS',
+    '1K', '2K', '3K', '4K', '5K', '6K', '7K', '8K', '9K', '10K',
+    'AT', 'CN', 'RX', 'AP', 'SO',
+    'TR', 'WG', 'SI', 'GR', 'DF', 'WU', 'WD', 'TC', 'BR', 'AD', 'MU', 'NS', 'MG', 'RP', 'AS',
+    'FR', 'BU', 'SY', 'DP', 'BM', 'SW', 'FF', 'MF',
+    'TD', 'V2'
+];
+
+// Mods with an icon in ./oldicons, the rest use ./icons in the old set
+const OLD_MOD_ICONS = [
+    'AC', 'AD', 'AL', 'AP', 'AS', 'AT', 'BL', 'BR', 'BU', 'CL', 'CN', 'DA', 'DC', 'DF', 'DP', 'DT',
+    'EZ', 'FL', 'FR', 'GR', 'HD', 'HR', 'HT', 'MG', 'MR', 'MU', 'NC', 'NF', 'NS', 'PF', 'RD', 'RP',
+    'RX', 'SD', 'SG', 'SI', 'SO', 'ST', 'SY', 'TC', 'TD', 'TP', 'TR', 'V2', 'WD', 'WG', 'WU'
+];
+
+// Mods that include another one, both are kept but only the stronger one is shown
+const IMPLIED_MODS = { NC: 'DT', PF: 'SD' };
+
+// Groups of mods that can't be played together
+const INCOMPATIBLE_MODS = [
+    ['EZ', 'HR'], ['DA', 'EZ'], ['DA', 'HR'], ['NF', 'SD', 'PF'], ['HD', 'FI'],
+    ['HT', 'DC', 'DT', 'NC', 'WU', 'WD', 'AS'],
+    ['AT', 'CN', 'RX', 'AP'], ['SO', 'AT', 'CN', 'AP'],
+    ['1K', '2K', '3K', '4K', '5K', '6K', '7K', '8K', '9K', '10K']
+];
+
+// Legacy mod bitmask flags, in the order they're shown on the card
+const LEGACY_MOD_BITS = [
+    ['NF', 1], ['EZ', 2], ['TD', 4], ['HD', 8], ['HR', 16], ['SD', 32], ['DT', 64], ['RX', 128],
+    ['HT', 256], ['NC', 512], ['FL', 1024], ['AT', 2048], ['SO', 4096], ['AP', 8192], ['PF', 16384],
+    ['4K', 32768], ['5K', 65536], ['6K', 131072], ['7K', 262144], ['8K', 524288], ['FI', 1048576],
+    ['RD', 2097152], ['CN', 4194304], ['TP', 8388608], ['9K', 16777216], ['CO', 33554432],
+    ['1K', 67108864], ['3K', 134217728], ['2K', 268435456], ['V2', 536870912], ['MR', 1073741824]
+];
+
+// Lazer mod settings that can be overridden: the mods each applies to and the setting it changes
+// The page's inputs are named after these (modSpeedChange), the PNG route takes them as query keys (?speedChange=)
+const MOD_SETTINGS = {
+    speedChange: [['DT', 'NC', 'HT', 'DC'], 'speed_change'],
+    flashlightSize: [['FL'], 'size_multiplier'],
+    circleSize: [['DA'], 'circle_size'],
+    approachRate: [['DA'], 'approach_rate'],
+    overallDifficulty: [['DA'], 'overall_difficulty'],
+    drainRate: [['DA'], 'drain_rate']
+};
+
+// Allowed range of the number settings lazer mods can have, mods JSON with anything else has it dropped
+const MOD_SETTING_RANGES = {
+    speed_change: [0.5, 2],
+    size_multiplier: [0.5, 2],
+    circle_size: [0, 11],
+    approach_rate: [-10, 11],
+    overall_difficulty: [0, 11],
+    drain_rate: [0, 11]
+};
+
+// Difficulty Adjust settings and how they're shown on the badge
+const DIFFICULTY_ADJUST_SETTINGS = [
+    ['circle_size', 'CS'],
+    ['approach_rate', 'AR'],
+    ['overall_difficulty', 'OD'],
+    ['drain_rate', 'HP']
+];
+
+// Parts of the card that can be hidden, with their names in the Visibility panel (?hide= takes the keys)
+const CARD_ELEMENTS = {
+    avatar: 'Avatar',
+    flag: 'Flag',
+    userRank: 'User Rank',
+    leaderboard: 'Leaderboard Place',
+    pp: 'PP',
+    score: 'Score Total',
+    mods: 'Mods',
+    hitCounts: 'Hit Counts',
+    sliderEnds: 'Slider Ends',
+    mapper: 'Mapper',
+    difficulty: 'Difficulty Name',
+    fullCombo: 'Full Combo Banner',
+    extraText: 'Extra Text'
+};
+
+// Card parts the layout editor can move and resize, ?layout= on the PNG route takes the same keys
+const LAYOUT_ELEMENTS = {
+    title: '.map-info',
+    mods: '.mod-icons',
+    score: '.score',
+    hitCounts: '.hit-counts',
+    rank: '.rank-badge',
+    performance: '.performance',
+    user: '.user-info',
+    leaderboard: '.leaderboard-details',
+    summary: '.summary'
+};
+
+// Smallest and largest scale a card part can be given in the layout editor
+const LAYOUT_SCALE_RANGE = [0.25, 4];
+
+// Room the standard card's middle section has inside its padding when everything is shown
+const MIDDLE_CONTENT_HEIGHT = 385;
+
+// How much shorter the standard card gets when hidden parts leave both of its columns shorter than that room
+// The left column is the score and the hit count rows (without the expanded row), the right one the rank badge and the pp/full combo/extra text under it
+function getHiddenSpace(scoreShown, hitCountRows, performanceShown) {
+    const left = (scoreShown ? 80 : 0) + hitCountRows * 79 + Math.max(0, hitCountRows - 1) * 18;
+    const right = 200 + (performanceShown ? 200 : 0);
+    return Math.max(0, MIDDLE_CONTENT_HEIGHT - Math.max(left, right));
+}
+
+// Turn a legacy mods bitmask into mod objects like the osu! API returns
+function modsFromBitmask(bitmask) {
+    const bits = Number(bitmask) || 0;
+    return addImpliedMods(LEGACY_MOD_BITS.filter(([, bit]) => (bits & bit) !== 0).map(([acronym]) => ({ acronym })));
+}
+
+// Add the mods NC and PF include when they're missing, with the same settings (NC's speed_change is DT's too)
+function addImpliedMods(mods) {
+    const implied = mods
+        .filter(mod => IMPLIED_MODS[mod.acronym] && !mods.some(other => other.acronym === IMPLIED_MODS[mod.acronym]))
+        .map(mod => mod.settings ? { acronym: IMPLIED_MODS[mod.acronym], settings: mod.settings } : { acronym: IMPLIED_MODS[mod.acronym] });
+    return [...mods, ...implied];
+}
+
+// Mods as they're shown on the card, without the ones a stronger mod includes (DT with NC, SD with PF)
+function getShownMods(mods) {
+    return mods.filter(mod => !Object.entries(IMPLIED_MODS)
+        .some(([stronger, implied]) => implied === mod.acronym && mods.some(other => other.acronym === stronger)));
+}
+
+// Split a combined mod string like HDDTHR into acronyms, trying 10K style acronyms first
+function splitModCodes(token, warnings) {
+    if (token === 'NM') return [];
+    const acronyms = [];
+    for (let i = 0; i < token.length;) {
+        const acronym = [3, 2].map(length => token.slice(i, i + length)).find(code => MOD_ORDER.includes(code));
+        if (!acronym) {
+            warnings.push(`Unknown mod "${token.slice(i)}"`);
+            break;
+        }
+        acronyms.push(acronym);
+        i += acronym.length;
+    }
+    return acronyms;
+}
+
+// Read lazer style mods JSON, like [{"acronym":"DT","settings":{"speed_change":1.3}}] or ["HD","DT"]
+function parseModsJson(json, warnings) {
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch {
+        warnings.push('Mods JSON could not be read');
+        return [];
+    }
+    return [].concat(parsed)
+        .map(mod => typeof mod === 'string' ? { acronym: mod } : mod)
+        .filter(mod => mod && typeof mod.acronym === 'string')
+        .map(mod => {
+            const acronym = mod.acronym.toUpperCase();
+            const settings = mod.settings && typeof mod.settings === 'object' ? checkModSettings(acronym, mod.settings, warnings) : {};
+            return Object.keys(settings).length > 0 ? { acronym, settings } : { acronym };
+        });
+}
+
+// Drop number settings that aren't numbers or are out of range, other settings (like extended_limits) are kept
+function checkModSettings(acronym, settings, warnings) {
+    return Object.fromEntries(Object.entries(settings).filter(([key, value]) => {
+        const range = MOD_SETTING_RANGES[key];
+        if (!range || (typeof value === 'number' && value >= range[0] && value <= range[1])) return true;
+        warnings.push(`${acronym} ${key} has to be a number from ${range[0]} to ${range[1]}`);
+        return false;
+    }));
+}
+
+// Parse mods into the array format the card uses
+// Takes HD,DT / HDDTHR / +HDHR, a legacy bitmask like 72, or lazer mods JSON
+// Problems (unknown or incompatible mods) are added to warnings
+function parseModsString(modsString, warnings = []) {
+    const input = (modsString || '').trim();
+    if (input === '') return [];
+
+    let mods;
+    if (/^\d+$/.test(input)) {
+        mods = modsFromBitmask(input);
+    } else if (input.startsWith('[') || input.startsWith('{')) {
+        mods = parseModsJson(input, warnings);
+    } else {
+        mods = input.toUpperCase().split(/[\s,+]+/).filter(Boolean)
+            .flatMap(token => splitModCodes(token, warnings))
+            .map(acronym => ({ acronym }));
+    }
+
+    // Drop unknown and repeated mods, and add the mods NC and PF include
+    const acronyms = mods.map(mod => mod.acronym);
+    mods = addImpliedMods(mods.filter((mod, index) => {
+        if (!MOD_ORDER.includes(mod.acronym)) {
+            warnings.push(`Unknown mod "${mod.acronym}"`);
+            return false;
+        }
+        return acronyms.indexOf(mod.acronym) === index;
+    })).sort((a, b) => MOD_ORDER.indexOf(a.acronym) - MOD_ORDER.indexOf(b.acronym));
+
+    // NC and DT (or PF and SD) are in the same group, but one including the other isn't a conflict
+    const shownMods = getShownMods(mods);
+    for (const group of INCOMPATIBLE_MODS) {
+        const present = group.filter(acronym => shownMods.some(mod => mod.acronym === acronym));
+        const message = `${present.join(' and ')} can't be played together`;
+        if (present.length > 1 && !warnings.includes(message)) warnings.push(message);
+    }
+    return mods;
+}
+
+// Short text for the settings a lazer mod was played with, like 1.35x or AR11
+function getModSettingsBadge(mod) {
+    const settings = mod.settings || {};
+    const format = value => Number(Number(value).toFixed(2)).toString();
+
+    if (settings.speed_change !== undefined) return `${format(settings.speed_change)}x`;
+    if (mod.acronym === 'DA') {
+        return DIFFICULTY_ADJUST_SETTINGS
+            .filter(([key]) => settings[key] !== undefined && settings[key] !== null)
+            .map(([key, label]) => `${label}${format(settings[key])}`)
+            .join(' ');
+    }
+    if (settings.size_multiplier !== undefined) return `${format(settings.size_multiplier)}x`;
+    return '';
+}
+
+// Extra judgements for the expanded stats row as [class, label, value]
+// Stable scores have gekis and katus, lazer osu! scores have slider ticks, mania already shows MAX and 200
+function getExpandedJudgements(score, isLazer, mode) {
+    // Hits show how many the map had and the misses next to them, e.g. 120/124 (4 miss)
+    const ticks = (type, label) => {
+        const hit = score.statistics[`${type}_hit`] || 0;
+        const max = score.maximum_statistics?.[`${type}_hit`];
+        const miss = score.statistics[`${type}_miss`] || 0;
+        return ['stat-tick', label, `${max ? `${hit}/${max}` : hit} (${miss} miss)`];
+    };
+
+    if (mode === 'mania') return [];
+    if (mode === 'fruits') return [['stat-miss', 'Droplet Miss', score.cKatu]];
+    if (!isLazer) return [['stat-300', 'Geki', score.cGeki], ['stat-100', 'Katu', score.cKatu]];
+    if (mode === 'osu') return [ticks('large_tick', 'Large Ticks'), ticks('small_tick', 'Small Ticks')];
+    return [];
+}
+
+// Calculate accuracy from hit counts for each ruleset
+function calculateAccuracy(mode, scoreData, isLazer = false) {
+    const { c300, c100, c50, cGeki, cKatu, misses } = scoreData;
+    let hit;
+    let total;
+    if (isLazer && mode === 'osu') {
+        // Lazer also counts slider ticks (30), small ticks (10) and slider ends (150)
+        const statistics = scoreData.statistics || {};
+        const largeTicks = statistics.large_tick_hit || 0;
+        const smallTicks = statistics.small_tick_hit || 0;
+        const sliderEnds = Math.max(scoreData.maximum_statistics?.slider_tail_hit || 0, scoreData.cEnds || 0);
+        hit = c300 * 300 + c100 * 100 + c50 * 50 + largeTicks * 30 + smallTicks * 10 + (scoreData.cEnds || 0) * 150;
+        total = (c300 + c100 + c50 + misses) * 300
+            + (largeTicks + (statistics.large_tick_miss || 0)) * 30
+            + (smallTicks + (statistics.small_tick_miss || 0)) * 10
+            + sliderEnds * 150;
+    } else if (isLazer && mode === 'mania') {
+        // Lazer MAXes are worth 305
+        hit = cGeki * 305 + c300 * 300 + cKatu * 200 + c100 * 100 + c50 * 50;
+        total = (cGeki + c300 + cKatu + c100 + c50 + misses) * 305;
+    } else if (mode === 'taiko') {
+        hit = c300 + c100 * 0.5;
+        total = c300 + c100 + misses;
+    } else if (mode === 'fruits') {
+        // 300s are fruits, 100s drops, 50s droplets and katus missed droplets
+        hit = c300 + c100 + c50;
+        total = c300 + c100 + c50 + cKatu + misses;
+    } else if (mode === 'mania') {
+        // Gekis are MAXes and katus 200s
+        hit = (cGeki + c300) * 300 + cKatu * 200 + c100 * 100 + c50 * 50;
+        total = (cGeki + c300 + cKatu + c100 + c50 + misses) * 300;
+    } else {
+        hit = c300 * 300 + c100 * 100 + c50 * 50;
+        total = (c300 + c100 + c50 + misses) * 300;
+    }
+    return total > 0 ? hit / total : 0;
+}
+
+// Work out the grade from accuracy and hit counts with osu!'s rank rules for each ruleset
+function calculateRank(mode, scoreData, accuracy, isLazer) {
+    // Hidden, flashlight and fade in turn SS and S silver
+    const silver = scoreData.mods.some(mod => ['HD', 'FL', 'FI'].includes(mod.acronym));
+    let rank;
+
+    if (accuracy === 1) {
+        rank = 'X';
+    } else if (mode === 'fruits') {
+        // Catch grades only depend on accuracy, on stable and lazer
+        rank = ['S', 'A', 'B', 'C'][[0.98, 0.94, 0.9, 0.85].findIndex(threshold => accuracy > threshold)] || 'D';
+    } else if (isLazer) {
+        // Lazer grades go by accuracy, osu! and taiko can't get an S with a miss
+        rank = ['S', 'A', 'B', 'C'][[0.95, 0.9, 0.8, 0.7].findIndex(threshold => accuracy >= threshold)] || 'D';
+        if (rank === 'S' && mode !== 'mania' && scoreData.misses > 0) rank = 'A';
+    } else if (mode === 'mania') {
+        rank = ['S', 'A', 'B', 'C'][[0.95, 0.9, 0.8, 0.7].findIndex(threshold => accuracy > threshold)] || 'D';
+    } else {
+        // Stable osu! and taiko go by the share of 300s, with no misses needed for the higher grades
+        const total = scoreData.c300 + scoreData.c100 + scoreData.c50 + scoreData.misses;
+        const ratio300 = total > 0 ? scoreData.c300 / total : 0;
+        const ratio50 = total > 0 ? scoreData.c50 / total : 0;
+        if (ratio300 > 0.9 && ratio50 <= 0.01 && scoreData.misses === 0) rank = 'S';
+        else if ((ratio300 > 0.8 && scoreData.misses === 0) || ratio300 > 0.9) rank = 'A';
+        else if ((ratio300 > 0.7 && scoreData.misses === 0) || ratio300 > 0.8) rank = 'B';
+        else if (ratio300 > 0.6) rank = 'C';
+        else rank = 'D';
+    }
+    return silver && (rank === 'X' || rank === 'S') ? `${rank}H` : rank;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        OLD_MOD_ICONS, MOD_SETTINGS, CARD_ELEMENTS, LAYOUT_ELEMENTS, LAYOUT_SCALE_RANGE,
+        modsFromBitmask, getShownMods, parseModsString, getModSettingsBadge, getExpandedJudgements,
+        calculateAccuracy, calculateRank, getHiddenSpace
+    };
+}
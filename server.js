@@ -5,11 +5,28 @@ const sqlite3 = require('sqlite3').verbose();
 const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const sharp = require('sharp');
+const rosu = require('rosu-pp-js');
+const {
+    OLD_MOD_ICONS, MOD_SETTINGS, CARD_ELEMENTS, LAYOUT_ELEMENTS, LAYOUT_SCALE_RANGE,
+    modsFromBitmask, getShownMods, parseModsString, getModSettingsBadge, getExpandedJudgements,
+    calculateAccuracy, calculateRank, getHiddenSpace
+} = require('./public/shared');
+const { getModdedAttributes } = require('./attributes');
 
 const app = express();
 const PORT = 3000;
 const db = new sqlite3.Database("./scorecards.db")
 
+// Run statements in order so tables exist before the queries that use them
+db.serialize();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -19,8 +36,27 @@ app.use(express.static('public'));
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 
+// Current token, when it expires and the token request that's in progress (shared by everyone waiting on it)
 let accessToken = null;
+let accessTokenExpiresAt = 0;
+let tokenRefresh = null;
+
+// Get a new token this long before the current one expires
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Complain at startup instead of on the first visitor
+if (!CLIENT_ID || !CLIENT_SECRET) {
+    console.error('CLIENT_ID and/or CLIENT_SECRET are missing from .env, requests to the osu! API will fail until they are set');
+}
 
+// Error with the HTTP status a route should answer with
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
 
 // create table if not exists
 db.run(
@@ -34,6 +70,15 @@ db.get("SELECT count FROM stats WHERE id = 1", (err, row) => {
   }
 });
 
+// create cache table for osu! API responses (expires_at is null for entries that never expire)
+db.run(
+  "CREATE TABLE IF NOT EXISTS api_cache (endpoint TEXT PRIMARY KEY, data TEXT NOT NULL, expires_at INTEGER)",
+  () => {
+    // clear out anything that expired while the server was down
+    db.run("DELETE FROM api_cache WHERE expires_at IS NOT NULL AND expires_at <= ?", [Date.now()]);
+  }
+);
+
 // increment endpoint
 app.post("/api/scorecards/increment", (req, res) => {
   db.run("UPDATE stats SET count = count + 1 WHERE id = 1", function (err) {
@@ -50,8 +95,26 @@ app.get("/api/scorecards/count", (req, res) => {
   });
 });
 
-// Function to get access token from osu! API
-async function getAccessToken() {
+// create table for the osu! API token so it survives restarts
+db.run(
+  "CREATE TABLE IF NOT EXISTS oauth_token (id INTEGER PRIMARY KEY CHECK (id = 1), access_token TEXT NOT NULL, expires_at INTEGER NOT NULL)"
+);
+
+// load the token from the last run if it's still valid
+db.get("SELECT access_token, expires_at FROM oauth_token WHERE id = 1", (err, row) => {
+  if (!err && row && row.expires_at - TOKEN_REFRESH_MARGIN > Date.now() && !accessToken) {
+    accessToken = row.access_token;
+    accessTokenExpiresAt = row.expires_at;
+    console.log(`Loaded stored osu! API token (expires ${new Date(row.expires_at).toISOString()})`);
+  }
+});
+
+// Function to request a new access token from osu! API
+async function requestAccessToken() {
+    if (!CLIENT_ID || !CLIENT_SECRET) {
+        throw new Error('CLIENT_ID and CLIENT_SECRET must be set to use the osu! API');
+    }
+
     try {
         // Make POST request to osu! OAuth endpoint to get access token
         const response = await axios.post('https://osu.ppy.sh/oauth/token', {
@@ -60,229 +123,1642 @@ async function getAccessToken() {
             grant_type: 'client_credentials',
             scope: 'public'
         });
-        // Store the access token from the response
+        // Store the access token and when it expires (expires_in is in seconds)
         accessToken = response.data.access_token;
+        accessTokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+
+        // Keep it for the next restart
+        db.run(
+            "INSERT OR REPLACE INTO oauth_token (id, access_token, expires_at) VALUES (1, ?, ?)",
+            [accessToken, accessTokenExpiresAt],
+            err => err && console.error('Error storing access token:', err.message)
+        );
+        console.log(`Got new osu! API token (expires ${new Date(accessTokenExpiresAt).toISOString()})`);
         return accessToken;
     } catch (error) {
         // Log any errors and rethrow them
-        console.error('Error getting access token:', error);
+        console.error('Error getting access token:', error.message);
         throw error;
     }
 }
 
-// Function to make requests to osu! API
-async function makeOsuRequest(endpoint) {
-    // If we don't have a token yet, get one
-    if (!accessToken) {
-        await getAccessToken();
+// Function to get a valid access token, refreshing it ahead of expiry
+// Concurrent callers all wait on the same refresh instead of each requesting their own token
+async function getAccessToken() {
+    if (accessToken && accessTokenExpiresAt - TOKEN_REFRESH_MARGIN > Date.now()) {
+        return accessToken;
     }
 
-    try {
-        // Make GET request to osu! API with authentication headers
-        const response = await axios.get(`https://osu.ppy.sh/api/v2${endpoint}`, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'x-api-version': '20220705'
-            }
+    if (!tokenRefresh) {
+        tokenRefresh = requestAccessToken().finally(() => {
+            tokenRefresh = null;
         });
-        // Return the data from the response
-        return response.data;
+    }
+    return tokenRefresh;
+}
+
+// Function to throw away a token osu! rejected, unless it was already replaced
+function invalidateAccessToken(rejectedToken) {
+    if (accessToken === rejectedToken) {
+        accessToken = null;
+        accessTokenExpiresAt = 0;
+        db.run("DELETE FROM oauth_token WHERE id = 1");
+    }
+}
+
+// Function to send one GET request to osu! API with the given token
+async function sendOsuRequest(endpoint, token, body = null) {
+    const config = {
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'x-api-version': '20220705'
+        }
+    };
+    // Most endpoints are GETs, a few (like beatmap attributes) take a JSON body
+    const url = `https://osu.ppy.sh/api/v2${endpoint}`;
+    const response = body ? await axios.post(url, body, config) : await axios.get(url, config);
+    // Return the data from the response
+    return response.data;
+}
+
+// Function to make a request to osu! API with the current token
+async function sendAuthenticatedOsuRequest(endpoint, body) {
+    const token = await getAccessToken();
+
+    try {
+        return await sendOsuRequest(endpoint, token, body);
     } catch (error) {
-        // Check if the error is because of expired or invalid token
+        // Check if the error is because of expired or revoked token
         if (error.response && error.response.status === 401) {
-            // Token expired, get new one
-            await getAccessToken();
-            // Retry the request with the new token
-            const response = await axios.get(`https://osu.ppy.sh/api/v2${endpoint}`, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'x-api-version': '20220705'
-                }
-            });
-            return response.data;
+            // Drop the token and retry once with a fresh one
+            invalidateAccessToken(token);
+            return sendOsuRequest(endpoint, await getAccessToken(), body);
         }
         // If it's not a token issue, rethrow the error
         throw error;
     }
 }
 
+// osu! API request scheduler settings
+const OSU_API_RPM = parseInt(process.env.OSU_API_RPM) || 60;                // Requests allowed per minute
+const OSU_API_CONCURRENCY = parseInt(process.env.OSU_API_CONCURRENCY) || 4; // Requests allowed at the same time
+const OSU_API_MAX_RETRIES = 3;
+
+// Scheduler state
+const osuQueue = [];                  // Requests waiting for a slot
+const osuRequestTimes = [];           // When each request in the last minute was sent
+const osuPendingRequests = new Map(); // Endpoint (and body) -> promise, so identical requests share one call
+const osuQueueStats = { completed: 0, failed: 0, retries: 0, rateLimited: 0 };
+let osuRunning = 0;
+let osuPausedUntil = 0;
+let osuQueueTimer = null;
+
+// Function to make requests to osu! API, POSTing body when one is given
+// Everything goes through one queue that keeps us under the requests-per-minute budget
+function makeOsuRequest(endpoint, body = null) {
+    const key = getOsuRequestKey(endpoint, body);
+
+    // Someone is already waiting on this exact request, share the result
+    if (osuPendingRequests.has(key)) {
+        return osuPendingRequests.get(key);
+    }
+
+    const request = new Promise((resolve, reject) => {
+        osuQueue.push({ endpoint, body, resolve, reject, attempt: 0 });
+        processOsuQueue();
+    }).finally(() => osuPendingRequests.delete(key));
+
+    osuPendingRequests.set(key, request);
+    return request;
+}
+
+// Requests to the same endpoint with different bodies are different requests
+function getOsuRequestKey(endpoint, body) {
+    return body ? `${endpoint} ${JSON.stringify(body)}` : endpoint;
+}
+
+// Function to start queued requests while there are free slots and budget left
+function processOsuQueue() {
+    while (osuQueue.length > 0 && osuRunning < OSU_API_CONCURRENCY) {
+        const now = Date.now();
+
+        // Forget requests that are older than a minute
+        while (osuRequestTimes.length > 0 && osuRequestTimes[0] <= now - 60000) {
+            osuRequestTimes.shift();
+        }
+
+        // Wait if osu! told us to back off or the budget for this minute is used up
+        let waitUntil = osuPausedUntil;
+        if (osuRequestTimes.length >= OSU_API_RPM) {
+            waitUntil = Math.max(waitUntil, osuRequestTimes[0] + 60000);
+        }
+        if (waitUntil > now) {
+            if (!osuQueueTimer) {
+                osuQueueTimer = setTimeout(() => {
+                    osuQueueTimer = null;
+                    processOsuQueue();
+                }, waitUntil - now);
+            }
+            return;
+        }
+
+        const job = osuQueue.shift();
+        osuRequestTimes.push(now);
+        osuRunning++;
+        runOsuJob(job);
+    }
+}
+
+// Function to run one queued request, retrying it if osu! is rate limiting us or having problems
+async function runOsuJob(job) {
+    try {
+        job.resolve(await sendAuthenticatedOsuRequest(job.endpoint, job.body));
+        osuQueueStats.completed++;
+    } catch (error) {
+        const status = error.response?.status;
+        const retryable = status === 429 || status >= 500
+            || ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code);
+
+        if (retryable && job.attempt < OSU_API_MAX_RETRIES) {
+            const delay = getRetryDelay(error, job.attempt);
+            job.attempt++;
+            osuQueueStats.retries++;
+
+            // A 429 applies to every request, so pause the whole queue
+            if (status === 429) {
+                osuQueueStats.rateLimited++;
+                osuPausedUntil = Math.max(osuPausedUntil, Date.now() + delay);
+            }
+
+            console.warn(`osu! API returned ${status || error.code} for ${job.endpoint}, retrying in ${delay}ms (attempt ${job.attempt}/${OSU_API_MAX_RETRIES})`);
+            setTimeout(() => {
+                // Retries go to the front so they don't wait behind newer requests
+                osuQueue.unshift(job);
+                processOsuQueue();
+            }, delay);
+        } else {
+            osuQueueStats.failed++;
+            job.reject(error);
+        }
+    } finally {
+        osuRunning--;
+        processOsuQueue();
+    }
+}
+
+// Work out how long to wait before retrying, using Retry-After when osu! sends it
+function getRetryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+        return retryAfter;
+    }
+    // Exponential backoff with a bit of jitter so retries don't all land at once
+    return Math.min(30000, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+// Parse a Retry-After header (either seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return parseInt(value) * 1000;
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Function to send an error response for a failed osu! API call
+function sendOsuError(res, error, message) {
+    // Errors we raised ourselves already know their status
+    if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+
+    const status = error.response?.status;
+    if (status === 404) {
+        return res.status(404).json({ error: `${message}: not found on osu!` });
+    }
+    if (status === 429) {
+        const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+        res.set('Retry-After', String(Math.ceil((retryAfter || 60000) / 1000)));
+        return res.status(503).json({ error: `${message}: the osu! API is rate limiting us, try again in a minute` });
+    }
+    res.status(500).json({ error: message });
+}
+
+// Status route with the state of the osu! API queue
+app.get('/api/status', (req, res) => {
+    const now = Date.now();
+    res.json({
+        osuApi: {
+            queued: osuQueue.length,
+            running: osuRunning,
+            pending: osuPendingRequests.size,
+            requestsLastMinute: osuRequestTimes.filter(time => time > now - 60000).length,
+            requestsPerMinute: OSU_API_RPM,
+            concurrency: OSU_API_CONCURRENCY,
+            pausedFor: Math.max(0, osuPausedUntil - now),
+            ...osuQueueStats
+        }
+    });
+});
+
+// How long cached osu! API responses stay valid (null means they never expire)
+const CACHE_TTL = {
+    user: 10 * 60 * 1000,                  // User rank moves around a lot
+    rankedBeatmap: 7 * 24 * 60 * 60 * 1000, // Ranked, approved and loved maps can't be edited
+    otherBeatmap: 60 * 60 * 1000,          // Pending, WIP, qualified and graveyard maps can still be updated
+    score: null,                           // Scores never change once they're set
+    cover: 24 * 60 * 60 * 1000,            // Whether a beatmapset has an HD raw.jpg background
+    userScores: 60 * 1000,                 // Best/recent/first place lists change whenever the player plays
+    leaderboard: 5 * 60 * 1000,            // Map leaderboards only change when someone sets a top score
+    attributes: 24 * 60 * 60 * 1000        // Star ratings only change when the difficulty calculator is updated
+};
+
+// Promise wrappers around the sqlite callbacks
+function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            // "this" holds changes/lastID for the statement that just ran
+            err ? reject(err) : resolve(this);
+        });
+    });
+}
+
+// Function to read a cached response, returns null if it's missing or expired
+async function getCachedResponse(key) {
+    try {
+        const row = await dbGet(
+            "SELECT data FROM api_cache WHERE endpoint = ? AND (expires_at IS NULL OR expires_at > ?)",
+            [key, Date.now()]
+        );
+        return row ? JSON.parse(row.data) : null;
+    } catch (error) {
+        // A broken cache shouldn't break the request, just go to osu! instead
+        console.error('Error reading API cache:', error.message);
+        return null;
+    }
+}
+
+// Function to store a response in the cache with the given TTL in milliseconds
+async function setCachedResponse(key, data, ttl) {
+    try {
+        const expiresAt = ttl === null ? null : Date.now() + ttl;
+        await dbRun(
+            "INSERT OR REPLACE INTO api_cache (endpoint, data, expires_at) VALUES (?, ?, ?)",
+            [key, JSON.stringify(data), expiresAt]
+        );
+    } catch (error) {
+        console.error('Error writing API cache:', error.message);
+    }
+}
+
+// Function to make requests to osu! API through the cache
+// ttl can be a number, null (never expires) or a function that picks the TTL from the response
+async function makeCachedOsuRequest(endpoint, ttl, body = null) {
+    const key = getOsuRequestKey(endpoint, body);
+    const cached = await getCachedResponse(key);
+    if (cached) {
+        return cached;
+    }
+
+    const data = await makeOsuRequest(endpoint, body);
+    await setCachedResponse(key, data, typeof ttl === 'function' ? ttl(data) : ttl);
+    return data;
+}
+
+// Pick the cache TTL for a beatmap based on its ranked status
+function getBeatmapTtl(beatmap) {
+    const status = beatmap.status || beatmap.beatmapset?.status;
+    return ['ranked', 'approved', 'loved'].includes(status) ? CACHE_TTL.rankedBeatmap : CACHE_TTL.otherBeatmap;
+}
+
+// Function to get the best background for a beatmapset, preferring the HD raw.jpg when it exists
+async function getCoverUrl(beatmapset) {
+    const fallbackUrl = beatmapset?.covers?.['list@2x'] || '';
+    if (!beatmapset?.id) {
+        return fallbackUrl;
+    }
+
+    // Construct URL for HD background image
+    const rawUrl = `https://assets.ppy.sh/beatmaps/${beatmapset.id}/covers/raw.jpg`;
+
+    // Reuse the result of an earlier check if we have one
+    const cacheKey = `cover:${beatmapset.id}`;
+    const cached = await getCachedResponse(cacheKey);
+    if (cached) {
+        return cached.hasRaw ? rawUrl : fallbackUrl;
+    }
+
+    try {
+        // Check if HD image exists by making a HEAD request
+        const headResponse = await axios.head(rawUrl, {
+            timeout: 5000,
+            headers: {
+                'User-Agent': 'osu-scorecard-generator/1.0'
+            }
+        });
+        // If HD image exists, use it
+        const hasRaw = headResponse.status === 200;
+        if (hasRaw) {
+            console.log(`Using HD raw background: ${rawUrl}`);
+        } else {
+            console.log(`Raw image returned status ${headResponse.status}, using fallback`);
+        }
+        await setCachedResponse(cacheKey, { hasRaw }, CACHE_TTL.cover);
+        return hasRaw ? rawUrl : fallbackUrl;
+    } catch (error) {
+        // If HD image check fails, use fallback (only remember it if the server actually answered)
+        console.log('Raw image not available, using fallback:', error.message);
+        if (error.response) {
+            await setCachedResponse(cacheKey, { hasRaw: false }, CACHE_TTL.cover);
+        }
+        return fallbackUrl;
+    }
+}
+
+// Middleware to protect admin routes with the ADMIN_TOKEN from .env
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(403).json({ error: 'Admin routes are disabled (ADMIN_TOKEN is not set)' });
+    }
+    if (req.get('Authorization') !== `Bearer ${adminToken}`) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+// Admin route to purge cached API responses
+// ?prefix=/users/ only removes matching endpoints, ?expired=true only removes expired entries
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        const { prefix, expired } = req.query;
+        let sql = "DELETE FROM api_cache WHERE 1 = 1";
+        const params = [];
+
+        if (prefix) {
+            sql += " AND substr(endpoint, 1, ?) = ?";
+            params.push(prefix.length, prefix);
+        }
+        if (expired === 'true') {
+            sql += " AND expires_at IS NOT NULL AND expires_at <= ?";
+            params.push(Date.now());
+        }
+
+        const result = await dbRun(sql, params);
+        console.log(`Purged ${result.changes} API cache entries`);
+        res.json({ success: true, removed: result.changes });
+    } catch (error) {
+        console.error('Error purging API cache:', error);
+        res.status(500).json({ error: 'Failed to purge cache' });
+    }
+});
+
 // API route to get map data by map ID
 app.get('/api/map/:mapId', async (req, res) => {
     try {
         // Extract mapId from URL parameters (FIXED: was using mapID instead of mapId)
         const { mapId } = req.params;
         
-        // Get beatmap data from osu! API using our request function
-        const mapData = await makeOsuRequest(`/beatmaps/${mapId}`);
-        
-        // Try to get HD background image
-        const beatmapSetId = mapData.beatmapset?.id;
-        let coverUrl = mapData.beatmapset?.covers?.['list@2x'] || '';
-        if (beatmapSetId) {
-            // Construct URL for HD background image
-            const rawUrl = `https://assets.ppy.sh/beatmaps/${beatmapSetId}/covers/raw.jpg`;
-            try {
-                // Check if HD image exists by making a HEAD request
-                const headResponse = await axios.head(rawUrl, {
-                    timeout: 5000,
-                    headers: {
-                        'User-Agent': 'osu-scorecard-generator/1.0'
-                    }
-                });
-                // If HD image exists, use it
-                if (headResponse.status === 200) {
-                    coverUrl = rawUrl;
-                    console.log(`Using HD raw background: ${rawUrl}`);
-                } else {
-                    console.log(`Raw image returned status ${headResponse.status}, using fallback`);
-                }
-            } catch (error) {
-                // If HD image check fails, use fallback
-                console.log('Raw image not available, using fallback:', error.message);
-            }
-        }
+        // Get beatmap data from osu! API (or the cache)
+        const mapData = await makeCachedOsuRequest(`/beatmaps/${mapId}`, getBeatmapTtl);
         
         // Format the data to match the expected structure
         const formattedData = {
-            beatmap: {
-                id: mapData.beatmapset?.id || '',                // Beatmapset ID for background fetching
-                title: mapData.beatmapset?.title || '',          // Map title
-                difficulty: mapData.version || '',               // Diff name
-                star_rating: mapData.difficulty_rating || 0.0,   // Star rating
-                cover: coverUrl,                                 // Background image URL
-                creator: mapData.beatmapset?.creator || '',      // Mapper
-                status: mapData.beatmapset?.status || ''         // Map status (ranked, loved, etc.)
-            }
+            beatmap: await formatBeatmapData(mapData)
         };
         // Send the formatted data as JSON response
         res.json(formattedData);
     } catch (error) {
         // If anything goes wrong, log the error and send error response
         console.error('Error fetching map data:', error);
-        res.status(500).json({ error: 'Failed to fetch map data' });
+        sendOsuError(res, error, 'Failed to fetch map data');
+    }
+});
+
+// Use the local stand-in for every attributes request instead of asking osu! (for tests and offline use)
+const LOCAL_ATTRIBUTES = process.env.LOCAL_ATTRIBUTES === 'true';
+
+// Function to ask osu! for a difficulty's star rating, AR and OD with mods (getModdedAttributes() fills in the rest)
+async function requestOsuAttributes(beatmapId, body) {
+    const response = await makeCachedOsuRequest(`/beatmaps/${beatmapId}/attributes`, CACHE_TTL.attributes, body);
+    return response.attributes || {};
+}
+
+// Where modded attributes come from, null leaves them all to the local stand-in
+const attributesProvider = LOCAL_ATTRIBUTES ? null : requestOsuAttributes;
+
+// Offline pp calculator
+// .osu files are downloaded once and kept, so pp works for loved, qualified and graveyard maps too
+const OSU_FILE_DIR = path.resolve(process.env.OSU_FILE_DIR || './osu-files');
+
+// Function to get a difficulty's .osu file, downloading it again if the map was updated since it was stored
+async function getOsuFile(beatmapId, checksum) {
+    const filePath = path.join(OSU_FILE_DIR, `${parseInt(beatmapId)}.osu`);
+    try {
+        const file = await fs.promises.readFile(filePath);
+        if (!checksum || crypto.createHash('md5').update(file).digest('hex') === checksum) {
+            return file;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const response = await axios.get(`https://osu.ppy.sh/osu/${parseInt(beatmapId)}`, { responseType: 'arraybuffer', timeout: 15000 });
+    const file = Buffer.from(response.data);
+    if (file.length === 0) {
+        throw new HttpError(404, 'Beatmap file not found');
+    }
+
+    // Same temporary file and rename as storeImageFile() so a half-written file is never read
+    await fs.promises.mkdir(OSU_FILE_DIR, { recursive: true });
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, file);
+    await fs.promises.rename(tempPath, filePath);
+    return file;
+}
+
+// Function to run one rosu-pp calculation and free it afterwards
+function runPerformance(args, mapOrAttributes) {
+    const performance = new rosu.Performance(args);
+    try {
+        return performance.calculate(mapOrAttributes);
+    } finally {
+        performance.free();
+    }
+}
+
+// Function to calculate star rating and pp for a play, and what it would give as an FC and as an SS
+// play uses the card's shape (c300/c100/c50/cGeki/cKatu/misses, max_combo, statistics, cEnds, mods)
+// Counts or combo left undefined are filled in as the best case
+function calculatePerformance(osuFile, mode, play, isLazer) {
+    const map = new rosu.Beatmap(osuFile);
+    // Freed whatever happens, a failing FC or SS calculation would otherwise leak the ones before it
+    const results = [];
+    try {
+        // Converts are calculated as the ruleset they're played in
+        if (map.mode !== RULESETS.indexOf(mode)) {
+            map.convert(RULESETS.indexOf(mode), play.mods);
+        }
+
+        const common = { mods: play.mods, lazer: isLazer };
+        // Slider ticks and ends only count for lazer osu! scores
+        const ticks = isLazer && mode === 'osu' ? {
+            largeTickHits: play.statistics?.large_tick_hit,
+            smallTickHits: play.statistics?.small_tick_hit,
+            sliderEndHits: play.cEnds
+        } : {};
+
+        const current = runPerformance({
+            ...common, ...ticks,
+            n300: play.c300, n100: play.c100, n50: play.c50, nGeki: play.cGeki, nKatu: play.cKatu,
+            misses: play.misses, combo: play.max_combo
+        }, map);
+        results.push(current);
+        // The FC keeps the 100s and 50s but turns the misses into 300s, the SS is just the mods
+        const fc = runPerformance({ ...common, n100: play.c100, n50: play.c50, nKatu: play.cKatu, misses: 0 }, current);
+        results.push(fc);
+        const ss = runPerformance(common, current);
+        results.push(ss);
+
+        return {
+            star_rating: current.difficulty.stars,
+            max_combo: current.difficulty.maxCombo,
+            pp: current.pp,
+            pp_fc: fc.pp,
+            pp_ss: ss.pp
+        };
+    } catch (error) {
+        // rosu-pp throws plain strings for maps it can't convert or mods it doesn't know
+        throw error instanceof HttpError ? error : new HttpError(400, `Could not calculate pp: ${error.message || error}`);
+    } finally {
+        results.forEach(attributes => attributes.free());
+        map.free();
+    }
+}
+
+// Function to calculate pp for a play on a beatmap (by difficulty ID)
+async function getPlayPerformance(beatmapId, mode, play, isLazer) {
+    const mapData = await makeCachedOsuRequest(`/beatmaps/${beatmapId}`, getBeatmapTtl);
+    const osuFile = await getOsuFile(mapData.id, mapData.checksum);
+    return calculatePerformance(osuFile, mode, play, isLazer);
+}
+
+// Function to read a play from query parameters with the same names as the PNG route
+// Anything left out is undefined so the calculator fills in the best case
+function getPlayFromQuery(query) {
+    const intOrUndefined = key => query[key] !== undefined && query[key] !== '' ? parseInt(query[key]) : undefined;
+    return {
+        c300: intOrUndefined('count300'),
+        c100: intOrUndefined('count100'),
+        c50: intOrUndefined('count50'),
+        cGeki: intOrUndefined('countGeki'),
+        cKatu: intOrUndefined('countKatu'),
+        misses: intOrUndefined('countMiss'),
+        cEnds: intOrUndefined('countSliderEnds'),
+        max_combo: intOrUndefined('combo'),
+        statistics: {
+            large_tick_hit: intOrUndefined('largeTickHit'),
+            small_tick_hit: intOrUndefined('smallTickHit')
+        },
+        mods: applyModSettingOverrides(parseModsString(query.mods), query)
+    };
+}
+
+// API route to calculate star rating and pp for a play, plus pp if FC and pp if SS
+// ?mods=, ?mode=, ?lazer=true, ?count300= (and the other PNG route count keys), ?combo=
+app.get('/api/map/:mapId/pp', async (req, res) => {
+    try {
+        const { mapId } = req.params;
+        const mapData = await makeCachedOsuRequest(`/beatmaps/${mapId}`, getBeatmapTtl);
+        const mode = req.query.mode ? getModeParam(req.query.mode) : (mapData.mode || 'osu');
+
+        res.json(await getPlayPerformance(mapData.id, mode, getPlayFromQuery(req.query), parseBooleanQuery(req.query.lazer, false)));
+    } catch (error) {
+        console.error('Error calculating pp:', error.message);
+        sendOsuError(res, error, 'Failed to calculate pp');
+    }
+});
+
+// API route to get a map's star rating, AR, OD, CS, HP, BPM and length with mods
+// ?mods= (anything parseModsString() takes), ?mode= for converts
+app.get('/api/map/:mapId/attributes', async (req, res) => {
+    try {
+        const { mapId } = req.params;
+        const mapData = await makeCachedOsuRequest(`/beatmaps/${mapId}`, getBeatmapTtl);
+        const mode = req.query.mode ? getModeParam(req.query.mode) : (mapData.mode || 'osu');
+        const beatmap = { star_rating: mapData.difficulty_rating || 0, ...getBaseAttributes(mapData) };
+
+        res.json(await getModdedAttributes(beatmap, parseModsString(req.query.mods), mode, attributesProvider));
+    } catch (error) {
+        console.error('Error fetching beatmap attributes:', error.message);
+        sendOsuError(res, error, 'Failed to fetch beatmap attributes');
+    }
+});
+
+// Mods that count as the same mod when filtering a leaderboard
+const LEADERBOARD_MOD_ALIASES = { NC: 'DT', PF: 'SD' };
+// Mods that don't change the play, lazer adds CL to every stable score
+const LEADERBOARD_IGNORED_MODS = ['CL'];
+
+// Function to turn a mod list into a key that compares equal for the same mod combination
+function getModsKey(acronyms) {
+    return [...new Set(acronyms
+        .filter(acronym => !LEADERBOARD_IGNORED_MODS.includes(acronym))
+        .map(acronym => LEADERBOARD_MOD_ALIASES[acronym] || acronym))]
+        .sort()
+        .join('');
+}
+
+// API route to get a map's leaderboard
+// ?mode= (converts), ?mods=HD,DT (exact combination, NM for no mods), ?country=JP, ?scoring=lazer or legacy
+// The API only gives the global top 100 without a supporter login, so mods and country are filtered from that
+app.get('/api/map/:mapId/scores', async (req, res) => {
+    try {
+        const { mapId } = req.params;
+        if (!/^\d+$/.test(mapId)) {
+            throw new HttpError(400, 'Invalid map ID');
+        }
+        const mode = req.query.mode ? getModeParam(req.query.mode) : null;
+        const scoring = req.query.scoring || 'all';
+        if (!['all', 'lazer', 'legacy'].includes(scoring)) {
+            throw new HttpError(400, `Unknown scoring: ${scoring}`);
+        }
+        const country = (req.query.country || '').trim().toUpperCase();
+        if (country !== '' && !/^[A-Z]{2}$/.test(country)) {
+            throw new HttpError(400, 'Country must be a two letter code');
+        }
+        const modsFilter = req.query.mods ? getModsKey(parseModsString(req.query.mods).map(mod => mod.acronym)) : null;
+
+        const params = new URLSearchParams({ legacy_only: scoring === 'legacy' ? 1 : 0, limit: 100 });
+        if (mode) params.set('mode', mode);
+        const data = await makeCachedOsuRequest(`/beatmaps/${mapId}/scores?${params}`, CACHE_TTL.leaderboard);
+
+        const scores = (data.scores || [])
+            .map((score, index) => ({ ...formatScoreListItem(score), global_position: index + 1 }))
+            .filter(score => scoring !== 'lazer' || score.lazer)
+            .filter(score => country === '' || score.user.country.toUpperCase() === country)
+            .filter(score => modsFilter === null || getModsKey(score.mods) === modsFilter)
+            .map((score, index) => ({ ...score, position: index + 1 }));
+        res.json(scores);
+    } catch (error) {
+        console.error('Error fetching map leaderboard:', error.message);
+        sendOsuError(res, error, 'Failed to fetch map leaderboard');
     }
 });
 
+// Function to turn lazer judgement counts into the stable hit counts the card uses
+// Taiko: 300 great, 100 good. Catch: 300 fruits, 100 drops, 50 droplets, katu missed droplets
+// Mania: geki MAX, 300, katu 200, 100, 50. Stable osu!/taiko scores keep their gekis and katus in perfect and good
+function getLegacyCounts(mode, statistics) {
+    const count = key => statistics[key] || 0;
+    if (mode === 'fruits') {
+        return {
+            c300: count('great'),
+            c100: count('large_tick_hit'),
+            c50: count('small_tick_hit'),
+            cGeki: 0,
+            cKatu: count('small_tick_miss'),
+            misses: count('miss') + count('large_tick_miss')
+        };
+    }
+    return {
+        c300: count('great'),
+        c100: count('ok'),
+        c50: count('meh'),
+        cGeki: count('perfect'),
+        cKatu: count('good'),
+        misses: count('miss')
+    };
+}
+
+// Function to fetch a score and format it the way the scorecard expects
+async function getScoreData(scoreId) {
+    // Get score data from osu! API (or the cache)
+    const scoreData = await makeCachedOsuRequest(`/scores/${scoreId}`, CACHE_TTL.score);
+    
+    // Get user rank for the ruleset the score was set in
+    const mode = RULESETS[scoreData.ruleset_id] || 'osu';
+    const userId = scoreData.user.id;
+    const userData = await makeCachedOsuRequest(`/users/${userId}/${mode}`, CACHE_TTL.user);
+    const userRank = userData.statistics?.global_rank || null;
+    const counts = getLegacyCounts(mode, scoreData.statistics || {});
+    
+    // Check if this score is lazer or classic
+    const isLazer = !scoreData.legacy_score_id && scoreData.has_replay !== false;
+    
+    // Log detection results
+    console.log('Score detection:', {
+        scoreId,
+        legacy_score_id: scoreData.legacy_score_id,
+        has_replay: scoreData.has_replay,
+        total_score: scoreData.total_score,
+        classic_total_score: scoreData.classic_total_score,
+        isLazer: isLazer
+    });
+    
+    // Try to get HD background image
+    const coverUrl = await getCoverUrl(scoreData.beatmapset);
+    
+    // Format the data
+    return {
+        server: 'osu',
+        mode,
+        lazer: isLazer,
+        score: {
+            // Use total_score for lazer, classic_total_score for classic
+            score: scoreData.total_score || 0,
+            classic_score: scoreData.classic_total_score || 0,
+            mods: scoreData.mods || [],                          // Array of mods
+            ...counts,                                          // 300/100/50/geki/katu/miss counts
+            statistics: scoreData.statistics || {},             // Every lazer judgement (ticks, slider ends, etc.)
+            maximum_statistics: scoreData.maximum_statistics || {}, // Most of each judgement the map allows
+            cEnds: scoreData.statistics?.slider_tail_hit || 0,  // Slider ends
+            cSliders: scoreData.beatmap?.count_sliders || 0,    // Total sliders in map
+            rank: scoreData.rank,                               // Score rank
+            accuracy: scoreData.accuracy,                       // Accuracy
+            time: scoreData.ended_at,                          // When score was set
+            full_combo: scoreData.is_perfect_combo || false,   // Whether its a perfect combo
+            max_combo: scoreData.max_combo || 0,               // Max combo achieved
+            pp: scoreData.pp || 0,                             // PP
+            leaderboard: scoreData.rank_global || 0           // Global leaderboard spot
+        },
+        beatmap: {
+            id: scoreData.beatmapset?.id || '',                // Beatmapset ID
+            title: scoreData.beatmapset?.title || '',          // Map title
+            difficulty: scoreData.beatmap?.version || '',      // Diff name
+            star_rating: scoreData.beatmap?.difficulty_rating || 0.0, // Star rating
+            cover: coverUrl,                                   // Background image URL
+            creator: scoreData.beatmapset?.creator || '',      // Mapper
+            status: scoreData.beatmapset?.status || '',        // Status
+            ...getBaseAttributes(scoreData.beatmap)            // Difficulty ID, CS/AR/OD/HP, BPM and length
+        },
+        user: {
+            avatar_url: scoreData.user?.avatar_url || '',      // User profile picture
+            country: scoreData.user?.country_code || '',       // Country code
+            username: scoreData.user?.username || '',          // Username
+            user_rank: userRank                                // Global rank
+        }
+    };
+}
+
 // API route to get score data by score ID
 app.get('/api/score/:scoreId', async (req, res) => {
     try {
         // Extract scoreId from URL parameters
         const { scoreId } = req.params;
         
-        // Get score data from osu! API using our request function
-        const scoreData = await makeOsuRequest(`/scores/${scoreId}`);
-        
-        // Get user rank
-        const userId = scoreData.user.id;
-        const userData = await makeOsuRequest(`/users/${userId}/osu`);
-        const userRank = userData.statistics?.global_rank || null;
-        
-        // Check if this score is lazer or classic
-        const isLazer = !scoreData.legacy_score_id && scoreData.has_replay !== false;
-        
-        // Log detection results
-        console.log('Score detection:', {
-            scoreId,
-            legacy_score_id: scoreData.legacy_score_id,
-            has_replay: scoreData.has_replay,
-            total_score: scoreData.total_score,
-            classic_total_score: scoreData.classic_total_score,
-            isLazer: isLazer
-        });
-        
-        // Try to get HD background image
-        const beatmapSetId = scoreData.beatmapset?.id;
-        let coverUrl = scoreData.beatmapset?.covers?.['list@2x'] || '';
-        if (beatmapSetId) {
-            // Construct URL for HD background image
-            const rawUrl = `https://assets.ppy.sh/beatmaps/${beatmapSetId}/covers/raw.jpg`;
-            try {
-                // Check if HD image exists by making a HEAD request
-                const headResponse = await axios.head(rawUrl, {
-                    timeout: 5000,
-                    headers: {
-                        'User-Agent': 'osu-scorecard-generator/1.0'
-                    }
-                });
-                // If HD image exists, use it
-                if (headResponse.status === 200) {
-                    coverUrl = rawUrl;
-                    console.log(`Using HD raw background: ${rawUrl}`);
-                } else {
-                    console.log(`Raw image returned status ${headResponse.status}, using fallback`);
-                }
-            } catch (error) {
-                // If HD image check fails, use fallback
-                console.log('Raw image not available, using fallback:', error.message);
-            }
-        }
-        
-        // Format the data
-        const formattedData = {
-            lazer: isLazer,
-            score: {
-                // Use total_score for lazer, classic_total_score for classic
-                score: scoreData.total_score || 0,
-                classic_score: scoreData.classic_total_score || 0,
-                mods: scoreData.mods || [],                          // Array of mods
-                c300: scoreData.statistics?.great || 0,             // Count of 300s
-                c100: scoreData.statistics?.ok || 0,                // Count of 100s
-                c50: scoreData.statistics?.meh || 0,                // Count of 50s
-                cEnds: scoreData.statistics?.slider_tail_hit || 0,  // Slider ends
-                cSliders: scoreData.beatmap?.count_sliders || 0,    // Total sliders in map
-                misses: scoreData.statistics?.miss || 0,            // Miss count
-                rank: scoreData.rank,                               // Score rank
-                accuracy: scoreData.accuracy,                       // Accuracy
-                time: scoreData.ended_at,                          // When score was set
-                full_combo: scoreData.is_perfect_combo || false,   // Whether its a perfect combo
-                max_combo: scoreData.max_combo || 0,               // Max combo achieved
-                pp: scoreData.pp || 0,                             // PP
-                leaderboard: scoreData.rank_global || 0           // Global leaderboard spot
-            },
-            beatmap: {
-                id: scoreData.beatmapset?.id || '',                // Beatmapset ID
-                title: scoreData.beatmapset?.title || '',          // Map title
-                difficulty: scoreData.beatmap?.version || '',      // Diff name
-                star_rating: scoreData.beatmap?.difficulty_rating || 0.0, // Star rating
-                cover: coverUrl,                                   // Background image URL
-                creator: scoreData.beatmapset?.creator || '',      // Mapper
-                status: scoreData.beatmapset?.status || ''         // Status
-            },
-            user: {
-                avatar_url: scoreData.user?.avatar_url || '',      // User profile picture
-                country: scoreData.user?.country_code || '',       // Country code
-                username: scoreData.user?.username || '',          // Username
-                user_rank: userRank                                // Global rank
-            }
-        };
+        // Fetch and format the score
+        const formattedData = await getScoreData(scoreId);
         // Send the formatted data as JSON response
         res.json(formattedData);
     } catch (error) {
         // If anything goes wrong, log the error and send error response
         console.error('Error fetching score:', error);
-        res.status(500).json({ error: 'Failed to fetch score data' });
+        sendOsuError(res, error, 'Failed to fetch score data');
     }
 });
 
-// Alternative image proxy route using query parameters
-app.get('/api/proxy-image/:type', async (req, res) => {
+// osu! usernames are 2-15 letters, numbers, spaces, underscores, dashes and brackets
+const USERNAME_PATTERN = /^[A-Za-z0-9 _\-\[\]]{2,15}$/;
+
+// Function to turn a user ID or username into the user part of an osu! API endpoint
+function getUserParam(nameOrId) {
+    nameOrId = nameOrId.trim();
+    // Numbers are looked up as IDs, everything else as a username (the @ prefix tells the API which it is)
+    if (/^\d+$/.test(nameOrId)) {
+        return nameOrId;
+    }
+    if (USERNAME_PATTERN.test(nameOrId)) {
+        return `@${encodeURIComponent(nameOrId)}`;
+    }
+    throw new HttpError(400, 'Invalid username');
+}
+
+// Function to check a ?mode= parameter, defaulting to osu!standard
+function getModeParam(mode) {
+    mode = mode || 'osu';
+    if (!RULESETS.includes(mode)) {
+        throw new HttpError(400, `Unknown mode: ${mode}`);
+    }
+    return mode;
+}
+
+// API route to look up a user by ID or username (?mode=taiko etc. for that ruleset's ranks)
+app.get('/api/user/:nameOrId', async (req, res) => {
+    try {
+        const user = getUserParam(req.params.nameOrId);
+        const mode = getModeParam(req.query.mode);
+        const userData = await makeCachedOsuRequest(`/users/${user}/${mode}`, CACHE_TTL.user);
+
+        res.json({
+            id: userData.id,
+            username: userData.username,
+            user_rank: userData.statistics?.global_rank || null,     // Global rank
+            country_rank: userData.statistics?.country_rank || null, // Country rank
+            country: userData.country_code || 'xx',                  // Country code
+            avatar_url: userData.avatar_url || '',                   // Profile picture
+            cover_url: userData.cover?.url || userData.cover_url || '', // Profile banner
+            supporter: userData.is_supporter || false,               // Whether they have supporter
+            mode
+        });
+    } catch (error) {
+        console.error('Error fetching user:', error.message);
+        sendOsuError(res, error, 'Failed to fetch user data');
+    }
+});
+
+// Function to format a score in a list (player's plays or a map leaderboard)
+// Only what the list shows is sent, the full score is fetched when one is picked
+function formatScoreListItem(score) {
+    return {
+        id: score.id,
+        rank: score.rank,
+        accuracy: score.accuracy,
+        pp: score.pp || 0,
+        score: score.total_score || 0,
+        mods: (score.mods || []).map(mod => mod.acronym || mod),
+        passed: score.passed !== false,
+        lazer: !score.legacy_score_id,
+        time: score.ended_at || score.created_at,
+        beatmap: {
+            id: score.beatmap?.id || score.beatmap_id,
+            title: score.beatmapset?.title || '',
+            artist: score.beatmapset?.artist || '',
+            difficulty: score.beatmap?.version || '',
+            star_rating: score.beatmap?.difficulty_rating || 0,
+            status: score.beatmap?.status || ''
+        },
+        user: {
+            id: score.user?.id || score.user_id,
+            username: score.user?.username || '',
+            country: score.user?.country_code || 'xx'
+        }
+    };
+}
+
+// Score lists the picker can show and the most plays it can ask for at once
+const USER_SCORE_TYPES = ['best', 'recent', 'firsts'];
+const USER_SCORES_MAX_LIMIT = 100;
+
+// API route to list a player's plays (?mode=, ?limit= up to 100, ?includeFails=true for recent plays)
+app.get('/api/user/:id/scores/:type', async (req, res) => {
     try {
-        // Get image type and url
         const { type } = req.params;
-        const { url } = req.query;
-        
-        // Validate that URL was provided
-        if (!url) {
-            return res.status(400).json({ error: 'No URL provided in query parameter' });
+        if (!USER_SCORE_TYPES.includes(type)) {
+            throw new HttpError(400, `Unknown score type: ${type}`);
         }
-        
-        // Decode the URL
-        const decodedUrl = decodeURIComponent(url);
-        
+        const mode = getModeParam(req.query.mode);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), USER_SCORES_MAX_LIMIT);
+        const includeFails = parseBooleanQuery(req.query.includeFails, false) ? 1 : 0;
+
+        // The scores endpoint only takes IDs, so usernames are looked up first
+        let userId = getUserParam(req.params.id);
+        if (userId.startsWith('@')) {
+            userId = (await makeCachedOsuRequest(`/users/${userId}/${mode}`, CACHE_TTL.user)).id;
+        }
+
+        const scores = await makeCachedOsuRequest(
+            `/users/${userId}/scores/${type}?mode=${mode}&limit=${limit}&include_fails=${includeFails}`,
+            CACHE_TTL.userScores
+        );
+
+        res.json(scores.map(formatScoreListItem));
+    } catch (error) {
+        console.error('Error fetching user scores:', error.message);
+        sendOsuError(res, error, 'Failed to fetch user scores');
+    }
+});
+
+// Private server score providers
+// Each provider fetches a score from its server and returns the same shape as getScoreData()
+
+// Ruleset names by legacy play mode number
+const RULESETS = ['osu', 'taiko', 'fruits', 'mania'];
+
+// Relax/autopilot variants for servers that keep them on separate leaderboards
+const SCORE_VARIANTS = { vanilla: 0, relax: 1, autopilot: 2 };
+
+// Private servers use a few different spellings for SS ranks
+function normaliseRank(rank) {
+    const aliases = { SS: 'X', SSH: 'XH', SSHD: 'XH', SHD: 'SH' };
+    const upper = String(rank || 'F').toUpperCase();
+    return aliases[upper] || upper;
+}
+
+// Accuracy is a percentage on some servers and a fraction on others
+function normaliseAccuracy(accuracy) {
+    const value = Number(accuracy) || 0;
+    return value > 1 ? value / 100 : value;
+}
+
+// Function to format the beatmap part of the card from an osu! API beatmap (with its beatmapset)
+async function formatBeatmapData(mapData) {
+    // Try to get HD background image
+    const coverUrl = await getCoverUrl(mapData.beatmapset);
+
+    return {
+        id: mapData.beatmapset?.id || '',                // Beatmapset ID for background fetching
+        title: mapData.beatmapset?.title || '',          // Map title
+        difficulty: mapData.version || '',               // Diff name
+        star_rating: mapData.difficulty_rating || 0.0,   // Star rating
+        cover: coverUrl,                                 // Background image URL
+        creator: mapData.beatmapset?.creator || '',      // Mapper
+        status: mapData.beatmapset?.status || '',        // Map status (ranked, loved, etc.)
+        mode: mapData.mode || 'osu',                     // Ruleset the map was made for
+        ...getBaseAttributes(mapData)                    // Difficulty ID, CS/AR/OD/HP, BPM and length
+    };
+}
+
+// Function to get a difficulty's ID and attributes without mods
+function getBaseAttributes(mapData) {
+    return {
+        beatmap_id: mapData?.id || null,
+        cs: mapData?.cs ?? null,
+        ar: mapData?.ar ?? null,
+        od: mapData?.accuracy ?? null,
+        hp: mapData?.drain ?? null,
+        bpm: mapData?.bpm ?? null,
+        length: mapData?.total_length ?? null
+    };
+}
+
+// Function to find a beatmap on osu! from its MD5 checksum (what private servers and replays store)
+async function lookupBeatmapByChecksum(checksum) {
+    return makeCachedOsuRequest(`/beatmaps/lookup?checksum=${encodeURIComponent(checksum)}`, getBeatmapTtl);
+}
+
+// Function to build the card data for a stable (non-lazer) score from its hit counts
+// Used for private server scores and uploaded replays, which all use stable scoring
+async function formatStableScore({ server, score, user, mapData }) {
+    return {
+        server,
+        mode: score.mode || 'osu',
+        lazer: false,
+        score: {
+            score: score.score || 0,
+            classic_score: score.score || 0,
+            mods: score.mods,
+            c300: score.c300 || 0,
+            c100: score.c100 || 0,
+            c50: score.c50 || 0,
+            cGeki: score.cGeki || 0,
+            cKatu: score.cKatu || 0,
+            statistics: {},
+            maximum_statistics: {},
+            cEnds: 0,
+            cSliders: mapData?.count_sliders || 0,
+            misses: score.misses || 0,
+            rank: normaliseRank(score.rank),
+            accuracy: normaliseAccuracy(score.accuracy),
+            time: score.time || null,
+            full_combo: !!score.full_combo,
+            max_combo: score.max_combo || 0,
+            pp: score.pp || 0,
+            leaderboard: score.leaderboard || 0
+        },
+        beatmap: mapData ? await formatBeatmapData(mapData) : {
+            // The map isn't on osu! (or osu! is down), use what the server told us
+            id: score.beatmap?.beatmapset_id || '',
+            title: score.beatmap?.song_name || '',
+            difficulty: '',
+            star_rating: Number(score.beatmap?.difficulty) || 0.0,
+            cover: score.beatmap?.beatmapset_id ? `https://assets.ppy.sh/beatmaps/${score.beatmap.beatmapset_id}/covers/list@2x.jpg` : '',
+            creator: '',
+            status: '',
+            mode: score.mode || 'osu',
+            ...getBaseAttributes(null),
+            beatmap_id: score.beatmap?.beatmap_id || null
+        },
+        user: {
+            avatar_url: user.avatar_url || '',
+            country: (user.country || 'xx').toLowerCase(),
+            username: user.username || '',
+            user_rank: user.user_rank || null
+        }
+    };
+}
+
+// Function to make a GET request to a private server's API through the response cache
+async function makeProviderRequest(server, url, params, ttl) {
+    const cacheKey = `${server}:${url}?${new URLSearchParams(params)}`;
+    const cached = await getCachedResponse(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await axios.get(url, {
+        params,
+        timeout: 10000,
+        headers: {
+            'User-Agent': 'osu-scorecard-generator/1.0',
+            'Accept': 'application/json'
+        }
+    });
+    await setCachedResponse(cacheKey, response.data, ttl);
+    return response.data;
+}
+
+// Function to look up the beatmap for a private server score, null if osu! doesn't know it
+async function getProviderBeatmap(checksum, beatmapId) {
+    try {
+        if (checksum) return await lookupBeatmapByChecksum(checksum);
+        if (beatmapId) return await makeCachedOsuRequest(`/beatmaps/${beatmapId}`, getBeatmapTtl);
+    } catch (error) {
+        console.log(`Beatmap ${checksum || beatmapId} not found on osu!, using server data:`, error.message);
+    }
+    return null;
+}
+
+// Function to create a provider for servers running Ripple's API (Ripple itself and Akatsuki)
+// relaxParam is the query parameter the server uses to pick the relax/autopilot leaderboard
+function createRippleProvider({ server, name, apiUrl, avatarUrl, relaxParam }) {
+    return {
+        name,
+        variants: Object.keys(SCORE_VARIANTS),
+        async getScore(scoreId, variant = 'vanilla') {
+            const relax = SCORE_VARIANTS[variant] || 0;
+            const relaxParams = relax ? { [relaxParam]: relax } : {};
+
+            // Score (with its beatmap) and the player
+            const scoreResponse = await makeProviderRequest(server, `${apiUrl}/api/v1/score`, { id: scoreId, ...relaxParams }, CACHE_TTL.score);
+            const score = scoreResponse.score || scoreResponse;
+            const userId = score.user_id || score.user?.id || scoreResponse.user?.id;
+            const user = await makeProviderRequest(server, `${apiUrl}/api/v1/users/full`, { id: userId, ...relaxParams }, CACHE_TTL.user);
+
+            // Akatsuki keeps one stats block per variant, Ripple has them at the top level
+            const modeName = ['std', 'taiko', 'ctb', 'mania'][score.play_mode || 0];
+            const stats = Array.isArray(user.stats) ? user.stats[relax]?.[modeName] : (user.stats?.[modeName] || user[modeName]);
+
+            const mapData = await getProviderBeatmap(score.beatmap_md5 || score.beatmap?.beatmap_md5, score.beatmap?.beatmap_id);
+            return formatStableScore({
+                server,
+                mapData,
+                score: {
+                    mode: RULESETS[score.play_mode || 0],
+                    score: score.score,
+                    mods: modsFromBitmask(score.mods),
+                    c300: score.count_300,
+                    c100: score.count_100,
+                    c50: score.count_50,
+                    cGeki: score.count_geki,
+                    cKatu: score.count_katu,
+                    misses: score.count_miss,
+                    rank: score.rank,
+                    accuracy: score.accuracy,
+                    time: score.time,
+                    full_combo: score.full_combo,
+                    max_combo: score.max_combo,
+                    pp: score.pp,
+                    beatmap: score.beatmap
+                },
+                user: {
+                    username: user.username,
+                    country: user.country,
+                    avatar_url: `${avatarUrl}/${user.id}`,
+                    user_rank: stats?.global_leaderboard_rank || null
+                }
+            });
+        }
+    };
+}
+
+// Gatari has its own API with slightly different field names
+const gatariProvider = {
+    name: 'Gatari',
+    variants: ['vanilla', 'relax'],
+    async getScore(scoreId, variant = 'vanilla') {
+        const apiUrl = process.env.GATARI_API_URL || 'https://api.gatari.pw';
+        const relaxParams = variant === 'relax' ? { rx: 1 } : {};
+
+        const scoreResponse = await makeProviderRequest('gatari', `${apiUrl}/score`, { id: scoreId, ...relaxParams }, CACHE_TTL.score);
+        const score = scoreResponse.score || scoreResponse;
+        const userId = score.userid || score.user_id || score.user?.id;
+        const userResponse = await makeProviderRequest('gatari', `${apiUrl}/users/get`, { u: userId }, CACHE_TTL.user);
+        const statsResponse = await makeProviderRequest('gatari', `${apiUrl}/user/stats`, { u: userId, mode: score.play_mode || 0, ...relaxParams }, CACHE_TTL.user);
+        const user = userResponse.users?.[0] || {};
+
+        const mapData = await getProviderBeatmap(score.beatmap?.beatmap_md5 || score.beatmap_md5, score.beatmap?.beatmap_id);
+        return formatStableScore({
+            server: 'gatari',
+            mapData,
+            score: {
+                mode: RULESETS[score.play_mode || 0],
+                score: score.score,
+                mods: modsFromBitmask(score.mods),
+                c300: score.count_300,
+                c100: score.count_100,
+                c50: score.count_50,
+                cGeki: score.count_gekis ?? score.count_geki,
+                cKatu: score.count_katu,
+                misses: score.count_miss,
+                rank: score.ranking || score.rank,
+                accuracy: score.accuracy,
+                time: score.time,
+                full_combo: score.full_combo,
+                max_combo: score.max_combo,
+                pp: score.pp,
+                beatmap: score.beatmap
+            },
+            user: {
+                username: user.username,
+                country: user.country,
+                avatar_url: `https://a.gatari.pw/${userId}`,
+                user_rank: statsResponse.stats?.rank || null
+            }
+        });
+    }
+};
+
+// All the servers scores can come from
+// Base URLs can be changed in .env for mirrors or other servers running the same API
+const SCORE_PROVIDERS = {
+    osu: {
+        name: 'osu!',
+        variants: ['vanilla'],
+        getScore: getScoreData
+    },
+    ripple: createRippleProvider({
+        server: 'ripple',
+        name: 'Ripple',
+        apiUrl: process.env.RIPPLE_API_URL || 'https://ripple.moe',
+        avatarUrl: 'https://a.ripple.moe',
+        relaxParam: 'relax'
+    }),
+    akatsuki: createRippleProvider({
+        server: 'akatsuki',
+        name: 'Akatsuki',
+        apiUrl: process.env.AKATSUKI_API_URL || 'https://akatsuki.gg',
+        avatarUrl: 'https://a.akatsuki.gg',
+        relaxParam: 'rx'
+    }),
+    gatari: gatariProvider
+};
+
+// Function to get a score from any provider
+async function getProviderScore(server, scoreId, variant) {
+    const provider = SCORE_PROVIDERS[server];
+    if (!provider) {
+        throw new HttpError(404, `Unknown server: ${server}`);
+    }
+    if (variant && !provider.variants.includes(variant)) {
+        throw new HttpError(400, `${provider.name} doesn't have ${variant} scores`);
+    }
+    return provider.getScore(scoreId, variant || 'vanilla');
+}
+
+// API route to list the servers scores can come from
+app.get('/api/servers', (req, res) => {
+    res.json(Object.entries(SCORE_PROVIDERS).map(([id, provider]) => ({
+        id,
+        name: provider.name,
+        variants: provider.variants
+    })));
+});
+
+// API route to get score data from any server (?variant=relax or autopilot for those leaderboards)
+app.get('/api/:server/score/:scoreId', async (req, res) => {
+    try {
+        const { server, scoreId } = req.params;
+        const formattedData = await getProviderScore(server, scoreId, req.query.variant);
+        res.json(formattedData);
+    } catch (error) {
+        console.error(`Error fetching ${req.params.server} score:`, error.message);
+        sendOsuError(res, error, 'Failed to fetch score data');
+    }
+});
+
+// Replay uploads
+// Biggest .osr file that can be uploaded, long maps have a lot of cursor data
+const REPLAY_MAX_BYTES = 10 * 1024 * 1024;
+// .NET DateTime ticks (100ns since 0001-01-01) at the unix epoch
+const DOTNET_EPOCH_TICKS = 621355968000000000n;
+
+// Function to parse an .osr replay file into its score (the replay frames themselves are skipped)
+// Format: https://osu.ppy.sh/wiki/en/Client/File_formats/osr_%28file_format%29
+function parseReplay(buffer) {
+    let offset = 0;
+    const readByte = () => buffer.readUInt8((offset += 1) - 1);
+    const readShort = () => buffer.readUInt16LE((offset += 2) - 2);
+    const readInt = () => buffer.readInt32LE((offset += 4) - 4);
+    const readLong = () => buffer.readBigInt64LE((offset += 8) - 8);
+    const readString = () => {
+        // 0x00 means no string, 0x0b is followed by a ULEB128 length and the UTF-8 bytes
+        const marker = readByte();
+        if (marker === 0x00) return '';
+        if (marker !== 0x0b) throw new Error(`Bad string marker at byte ${offset - 1}`);
+        let length = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = readByte();
+            length |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        if (offset + length > buffer.length) throw new RangeError('String runs past the end of the file');
+        return buffer.toString('utf8', (offset += length) - length, offset);
+    };
+
+    const mode = readByte();
+    if (!RULESETS[mode]) throw new Error(`Unknown mode ${mode}`);
+    const replay = {
+        mode: RULESETS[mode],
+        version: readInt(),
+        beatmapChecksum: readString(),
+        username: readString(),
+        replayChecksum: readString(),
+        c300: readShort(),
+        c100: readShort(),
+        c50: readShort(),
+        cGeki: readShort(),
+        cKatu: readShort(),
+        misses: readShort(),
+        score: readInt(),
+        max_combo: readShort(),
+        full_combo: readByte() === 1,
+        modsBitmask: readInt()
+    };
+    readString(); // Life bar graph
+    replay.time = new Date(Number((readLong() - DOTNET_EPOCH_TICKS) / 10000n)).toISOString();
+    // Skip the compressed replay frames (the length has to be read before offset moves on)
+    const framesLength = readInt();
+    offset += framesLength;
+    // Only there in replays exported from the online leaderboards
+    replay.onlineScoreId = offset + 8 <= buffer.length ? Number(readLong()) : 0;
+    return replay;
+}
+
+// Function to get a replay player's profile, guest details if they're not on osu!
+async function getReplayUser(username, mode) {
+    try {
+        const userData = await makeCachedOsuRequest(`/users/${getUserParam(username)}/${mode}`, CACHE_TTL.user);
+        return {
+            username: userData.username,
+            avatar_url: userData.avatar_url,
+            country: userData.country_code,
+            user_rank: userData.statistics?.global_rank || null
+        };
+    } catch (error) {
+        console.log(`Replay player ${username} not found on osu!:`, error.message);
+        return { username, avatar_url: DEFAULT_AVATAR_URL, country: 'xx', user_rank: null };
+    }
+}
+
+// Middleware to read the uploaded replay into req.body, answering with JSON when it's too big
+const readReplayUpload = express.raw({ type: () => true, limit: REPLAY_MAX_BYTES });
+function receiveReplay(req, res, next) {
+    readReplayUpload(req, res, error => {
+        if (!error) return next();
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Replay is too big, the limit is ${REPLAY_MAX_BYTES / 1024 / 1024}MB` });
+        }
+        res.status(error.status || 400).json({ error: 'Failed to read the uploaded replay' });
+    });
+}
+
+// API route to build a card from an uploaded .osr replay (the file is the request body)
+app.post('/api/replay', receiveReplay, async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            throw new HttpError(400, 'No replay file uploaded');
+        }
+        let replay;
+        try {
+            replay = parseReplay(req.body);
+        } catch (error) {
+            const reason = error.code === 'ERR_OUT_OF_RANGE' || error instanceof RangeError ? 'the file ends too early' : error.message;
+            throw new HttpError(400, `Invalid replay file: ${reason}`);
+        }
+
+        const mods = modsFromBitmask(replay.modsBitmask);
+        const accuracy = calculateAccuracy(replay.mode, replay);
+        const [mapData, user] = await Promise.all([
+            getProviderBeatmap(replay.beatmapChecksum),
+            getReplayUser(replay.username, replay.mode)
+        ]);
+
+        const formattedData = await formatStableScore({
+            server: 'replay',
+            score: {
+                ...replay,
+                mods,
+                accuracy,
+                rank: calculateRank(replay.mode, { ...replay, mods }, accuracy, false),
+                // Unsubmitted maps don't have a title, it can be typed in as an override
+                beatmap: { song_name: 'Unknown beatmap' }
+            },
+            user,
+            mapData
+        });
+        res.json(formattedData);
+    } catch (error) {
+        console.error('Error reading replay:', error.message);
+        sendOsuError(res, error, 'Failed to read replay');
+    }
+});
+
+// Image proxy safety settings
+// Only images from these hosts can be proxied, PROXY_EXTRA_HOSTS adds more (comma separated, ".example.com" allows subdomains)
+const PROXY_ALLOWED_HOSTS = [
+    'assets.ppy.sh',
+    'a.ppy.sh',
+    'osu.ppy.sh', // Guest avatar for map-only cards
+    'a.ripple.moe', 'a.akatsuki.gg', 'a.gatari.pw', // Private server avatars
+    ...(process.env.PROXY_EXTRA_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+];
+const PROXY_MAX_BYTES = (parseFloat(process.env.PROXY_MAX_MB) || 15) * 1024 * 1024;
+const PROXY_MAX_REDIRECTS = 3;
+const PROXY_REENCODE = process.env.PROXY_REENCODE === 'true';
+
+// Address ranges the proxy must never connect to (loopback, private networks, link-local, etc.)
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Error with the HTTP status the proxy should answer with
+class ImageProxyError extends HttpError {
+    constructor(status, message) {
+        super(status, message);
+        this.name = 'ImageProxyError';
+    }
+}
+
+// Check whether an IP address is in one of the blocked ranges
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) address = mapped[1];
+    return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Check whether a hostname is on the proxy allowlist
+function isAllowedHost(hostname) {
+    const host = hostname.toLowerCase();
+    return PROXY_ALLOWED_HOSTS.some(allowed =>
+        allowed.startsWith('.') ? host.endsWith(allowed) : host === allowed
+    );
+}
+
+// Function to check a URL before the proxy requests it (also used for every redirect)
+function validateProxyUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ImageProxyError(400, 'Invalid image URL');
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new ImageProxyError(400, `Unsupported protocol: ${parsed.protocol}`);
+    }
+    if (parsed.port && parsed.port !== '80' && parsed.port !== '443') {
+        throw new ImageProxyError(403, `Port ${parsed.port} is not allowed`);
+    }
+    if (!isAllowedHost(parsed.hostname)) {
+        throw new ImageProxyError(403, `Host not allowed: ${parsed.hostname}`);
+    }
+    // IP literals never go through DNS, so check them here
+    const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(literal) && isBlockedAddress(literal)) {
+        throw new ImageProxyError(403, 'Private addresses are not allowed');
+    }
+    return parsed;
+}
+
+// DNS lookup for the proxy's sockets that refuses private addresses
+// Checking the address the socket actually connects to means DNS rebinding can't sneak past the check
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new ImageProxyError(403, `${hostname} resolves to a private address`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const proxyHttpAgent = new http.Agent({ lookup: safeLookup });
+const proxyHttpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Work out the image format from the first bytes of the file, returns null if it isn't an image we accept
+function detectImageType(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'png';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('latin1'))) {
+        return 'gif';
+    }
+    if (buffer.length >= 12 && buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+// Find the ImageProxyError behind an error from axios (it wraps errors from lookups and redirects)
+function findImageProxyError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof ImageProxyError) return current;
+    }
+    return null;
+}
+
+// Function to download an image safely: allowlisted hosts only, no private addresses,
+// limited redirects and size, and the data has to actually be an image
+async function downloadImage(url, headers, acceptNotModified) {
+    validateProxyUrl(url);
+
+    let response;
+    try {
+        response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: 10000,
+            headers,
+            httpAgent: proxyHttpAgent,
+            httpsAgent: proxyHttpsAgent,
+            proxy: false,
+            maxRedirects: PROXY_MAX_REDIRECTS,
+            maxContentLength: PROXY_MAX_BYTES,
+            // Redirects have to pass the same checks as the original URL
+            beforeRedirect: options => validateProxyUrl(options.href || `${options.protocol}//${options.hostname}${options.path}`),
+            validateStatus: status => status === 200 || (status === 304 && acceptNotModified)
+        });
+    } catch (error) {
+        const proxyError = findImageProxyError(error);
+        if (proxyError) throw proxyError;
+        if (error.response) throw new ImageProxyError(502, `Image host responded with ${error.response.status}`);
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') throw new ImageProxyError(504, 'Image host timed out');
+        if (/maxContentLength/.test(error.message)) throw new ImageProxyError(413, 'Image is too large');
+        if (/Maximum number of redirects/i.test(error.message)) throw new ImageProxyError(502, 'Too many redirects');
+        throw new ImageProxyError(502, `Could not fetch image: ${error.message}`);
+    }
+
+    if (response.status === 304) {
+        return { status: 304, headers: response.headers };
+    }
+
+    let buffer = Buffer.from(response.data);
+    const format = detectImageType(buffer);
+    if (!format) {
+        throw new ImageProxyError(415, 'URL did not return a supported image (png, jpeg, gif or webp)');
+    }
+
+    // Re-encoding strips metadata and anything else hiding in the file
+    if (PROXY_REENCODE) {
+        try {
+            buffer = await sharp(buffer, { animated: format === 'gif' || format === 'webp' }).toFormat(format).toBuffer();
+        } catch (error) {
+            throw new ImageProxyError(415, 'Image could not be decoded');
+        }
+    }
+
+    return { status: 200, buffer, contentType: `image/${format}`, headers: response.headers };
+}
+
+// On-disk cache for proxied images
+// Files are stored by the sha256 of their contents, the sqlite table maps source URLs to them
+const IMAGE_CACHE_DIR = path.resolve(process.env.IMAGE_CACHE_DIR || './image-cache');
+const IMAGE_CACHE_MAX_BYTES = (parseFloat(process.env.IMAGE_CACHE_MAX_MB) || 500) * 1024 * 1024;
+const IMAGE_REVALIDATE_AFTER = 60 * 60 * 1000;
+
+// Image downloads that are currently running, so the same URL is only fetched once at a time
+const imageFetches = new Map();
+
+fs.mkdirSync(IMAGE_CACHE_DIR, { recursive: true });
+
+// create image cache index if not exists
+db.run(
+  `CREATE TABLE IF NOT EXISTS image_cache (
+    url TEXT PRIMARY KEY,
+    hash TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    etag TEXT,
+    last_modified TEXT,
+    fetched_at INTEGER NOT NULL,
+    last_access INTEGER NOT NULL
+  )`
+);
+
+// Get the path of a cached image file from its hash
+function getImageCachePath(hash) {
+    return path.join(IMAGE_CACHE_DIR, hash.slice(0, 2), hash);
+}
+
+// Function to write image data to the cache folder, returns the content hash
+async function storeImageFile(buffer) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const filePath = getImageCachePath(hash);
+
+    // Identical images only need to be stored once
+    if (!fs.existsSync(filePath)) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        // Write to a temporary file first so a half-written image is never served
+        // The random suffix keeps two URLs with identical bytes from racing on the same temp file
+        const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempPath, buffer);
+        await fs.promises.rename(tempPath, filePath);
+    }
+    return hash;
+}
+
+// Function to delete an image file once no cached URL points at it anymore
+async function removeUnreferencedImage(hash) {
+    const row = await dbGet("SELECT COUNT(*) AS refs FROM image_cache WHERE hash = ?", [hash]);
+    if (row.refs === 0) {
+        await fs.promises.rm(getImageCachePath(hash), { force: true });
+    }
+}
+
+// Function to evict the least recently used images until the cache fits under IMAGE_CACHE_MAX_BYTES
+// keepHash is the image that was just stored, it's about to be served so it's never evicted
+async function evictImageCache(keepHash) {
+    const files = await dbAll(
+        "SELECT hash, MAX(size) AS size, MAX(last_access) AS last_access FROM image_cache GROUP BY hash ORDER BY last_access ASC"
+    );
+    let excess = files.reduce((total, file) => total + file.size, 0) - IMAGE_CACHE_MAX_BYTES;
+
+    for (const file of files) {
+        if (excess <= 0) break;
+        if (file.hash === keepHash) continue;
+        await dbRun("DELETE FROM image_cache WHERE hash = ?", [file.hash]);
+        await fs.promises.rm(getImageCachePath(file.hash), { force: true });
+        excess -= file.size;
+        console.log(`Evicted cached image ${file.hash}`);
+    }
+}
+
+// Function to download an image (or revalidate the cached copy) and store it in the cache
+async function refreshCachedImage(url, entry) {
+    const headers = {
+        'User-Agent': 'osu-scorecard-generator/1.0'
+    };
+    // Let the upstream server tell us the cached copy is still good
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.last_modified) headers['If-Modified-Since'] = entry.last_modified;
+
+    const now = Date.now();
+    try {
+        const response = await downloadImage(url, headers, !!entry);
+
+        // Not modified, just mark it as fresh again
+        if (response.status === 304) {
+            await dbRun("UPDATE image_cache SET fetched_at = ?, last_access = ? WHERE url = ?", [now, now, url]);
+            return { ...entry, fetched_at: now, last_access: now };
+        }
+
+        const buffer = response.buffer;
+        const image = {
+            url,
+            hash: await storeImageFile(buffer),
+            content_type: response.contentType,
+            size: buffer.length,
+            etag: response.headers['etag'] || null,
+            last_modified: response.headers['last-modified'] || null,
+            fetched_at: now,
+            last_access: now
+        };
+        await dbRun(
+            `INSERT OR REPLACE INTO image_cache (url, hash, content_type, size, etag, last_modified, fetched_at, last_access)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [image.url, image.hash, image.content_type, image.size, image.etag, image.last_modified, image.fetched_at, image.last_access]
+        );
+
+        // The image changed upstream, so the old file might not be needed anymore
+        if (entry && entry.hash !== image.hash) {
+            await removeUnreferencedImage(entry.hash);
+        }
+        await evictImageCache(image.hash);
+        return image;
+    } catch (error) {
+        // If upstream is down, a stale image is better than no image
+        if (entry && !(error instanceof ImageProxyError && error.status < 500)) {
+            console.warn(`Serving stale cached image for ${url}:`, error.message);
+            return entry;
+        }
+        throw error;
+    }
+}
+
+// Function to get an image through the disk cache, returns the cache entry for it
+async function getCachedImage(url) {
+    // Refuse anything the proxy isn't allowed to fetch before touching the cache
+    validateProxyUrl(url);
+
+    let entry = await dbGet("SELECT * FROM image_cache WHERE url = ?", [url]);
+
+    // Forget entries whose file has gone missing
+    if (entry && !fs.existsSync(getImageCachePath(entry.hash))) {
+        entry = null;
+    }
+
+    if (entry && Date.now() - entry.fetched_at < IMAGE_REVALIDATE_AFTER) {
+        await dbRun("UPDATE image_cache SET last_access = ? WHERE url = ?", [Date.now(), url]);
+        return entry;
+    }
+
+    // Share one download between everyone asking for the same image
+    if (!imageFetches.has(url)) {
+        imageFetches.set(url, refreshCachedImage(url, entry).finally(() => imageFetches.delete(url)));
+    }
+    return imageFetches.get(url);
+}
+
+// Read the image data for a cache entry
+function readCachedImage(image) {
+    return fs.promises.readFile(getImageCachePath(image.hash));
+}
+
+// Check whether the browser's If-None-Match header matches our ETag
+function isEtagFresh(ifNoneMatch, etag) {
+    if (!ifNoneMatch) return false;
+    return ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+}
+
+// Alternative image proxy route using query parameters
+app.get('/api/proxy-image/:type', async (req, res) => {
+    try {
+        // Get image type and url
+        const { type } = req.params;
+        const { url } = req.query;
+        
+        // Validate that URL was provided
+        if (!url) {
+            return res.status(400).json({ error: 'No URL provided in query parameter' });
+        }
+        
+        // Decode the URL
+        let decodedUrl;
+        try {
+            decodedUrl = decodeURIComponent(url);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid image URL' });
+        }
+        
         // Validate the image type
         const validTypes = ['avatar', 'background'];
         if (!validTypes.includes(type)) {
@@ -291,45 +1767,633 @@ app.get('/api/proxy-image/:type', async (req, res) => {
         
         console.log(`Proxying ${type} image: ${decodedUrl}`);
         
-        // Fetch the image from the external URL
-        const response = await axios.get(decodedUrl, {
-            responseType: 'arraybuffer',
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'osu-scorecard-generator/1.0'
-            }
-        });
+        // Get the image from the disk cache (downloading or revalidating it if needed)
+        const image = await getCachedImage(decodedUrl);
+        const etag = `"${image.hash}"`;
         
         // Set HTTP headers for the image response
-        const contentType = response.headers['content-type'] || 'image/jpeg';
         res.set({
-            'Content-Type': contentType,
+            'Content-Type': image.content_type,
             'Cache-Control': 'public, max-age=3600',
+            'ETag': etag,
             'Access-Control-Allow-Origin': '*'
         });
         
+        // The browser already has this exact image
+        if (isEtagFresh(req.get('If-None-Match'), etag)) {
+            return res.status(304).end();
+        }
+        
         // Send the image data to the client
-        res.send(response.data);
+        res.send(await readCachedImage(image));
     } catch (error) {
-        // If image fetching fails, log error and send a transparent fallback image
+        // Tell the client why the image couldn't be proxied
         console.error('Error proxying image:', error.message);
-        
-        // Send a 1x1 transparent PNG as fallback
-        const transparentPng = Buffer.from([
-            0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D,
-            0x49, 0x48, 0x44, 0x52, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01,
-            0x08, 0x06, 0x00, 0x00, 0x00, 0x1F, 0x15, 0xC4, 0x89, 0x00, 0x00, 0x00,
-            0x0B, 0x49, 0x44, 0x41, 0x54, 0x78, 0x9C, 0x63, 0x00, 0x01, 0x00, 0x00,
-            0x05, 0x00, 0x01, 0x0D, 0x0A, 0x2D, 0xB4, 0x00, 0x00, 0x00, 0x00, 0x49,
-            0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82
-        ]);
-        
-        // Set headers for the fallback image
+        if (error instanceof ImageProxyError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to proxy image' });
+    }
+});
+
+// Server-side scorecard rendering
+// These mirror the layout in public/styles.css so cards rendered here match the ones saved from the browser
+const SCORECARD_WIDTH = 800;
+const SCORECARD_FONT = "Fredoka, 'Fredoka One', sans-serif";
+const DEFAULT_AVATAR_URL = 'https://osu.ppy.sh/images/layout/avatar-guest.png';
+
+// Cache for images read from the public folder (mod icons, ranks, flags), only ones that exist are kept
+const publicImageCache = new Map();
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// Grades ?rank= takes, the ones with a badge in public/ranks
+const SCORE_RANKS = ['XH', 'X', 'SH', 'S', 'A', 'B', 'C', 'D'];
+let gradientPixels = null;
+
+// Escape text so it can be placed inside SVG markup
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    }[char]));
+}
+
+// Format numbers with thousands separators (same as formatScore() in the browser)
+function formatNumber(value) {
+    return Number(value || 0).toLocaleString('en-US');
+}
+
+// Rough text width for the card font, measureTextWidth() gives the real one where it matters
+function estimateTextWidth(text, fontSize) {
+    return Math.ceil(String(text).length * fontSize * 0.62);
+}
+
+// Measured text widths by weight, size and text, the oldest ones are dropped once it's full
+const textWidthCache = new Map();
+const TEXT_WIDTH_CACHE_SIZE = 1000;
+
+// Function to measure how wide text is drawn in the card font (Pango picks the same font librsvg draws the SVG with)
+// fontWeight is a Pango weight like Semi-Bold, the estimate is used if Pango can't draw the text
+async function measureTextWidth(text, fontSize, fontWeight = '') {
+    const key = `${fontWeight} ${fontSize} ${text}`;
+    if (!textWidthCache.has(key)) {
+        let width = 0;
+        if (String(text) !== '') {
+            try {
+                const font = `${SCORECARD_FONT.replace(/'/g, '')} ${fontWeight} ${fontSize}`;
+                const { info } = await sharp({ text: { text: escapeXml(text), font, dpi: 72 } }).png().toBuffer({ resolveWithObject: true });
+                width = info.width;
+            } catch {
+                width = estimateTextWidth(text, fontSize);
+            }
+        }
+        if (textWidthCache.size >= TEXT_WIDTH_CACHE_SIZE) textWidthCache.delete(textWidthCache.keys().next().value);
+        textWidthCache.set(key, width);
+    }
+    return textWidthCache.get(key);
+}
+
+// Function to truncate text with '..' until it fits the available width (like adjustTitleSize())
+function fitText(text, fontSize, availableWidth) {
+    if (estimateTextWidth(text, fontSize) <= availableWidth) return text;
+
+    let truncated = text;
+    while (estimateTextWidth(truncated + '..', fontSize) > availableWidth && truncated.length > 5) {
+        truncated = truncated.slice(0, -1);
+    }
+    return truncated + '..';
+}
+
+// Function to read an image from the public folder as a data URI
+async function readPublicImage(relativePath) {
+    if (publicImageCache.has(relativePath)) return publicImageCache.get(relativePath);
+
+    // Never read anything outside the public folder
+    const filePath = path.join(PUBLIC_DIR, relativePath);
+    if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+        console.warn(`Card asset outside the public folder: ${relativePath}`);
+        return '';
+    }
+
+    try {
+        const buffer = await fs.promises.readFile(filePath);
+        const mimeType = relativePath.endsWith('.svg') ? 'image/svg+xml' : 'image/png';
+        const dataUri = `data:${mimeType};base64,${buffer.toString('base64')}`;
+        publicImageCache.set(relativePath, dataUri);
+        return dataUri;
+    } catch (error) {
+        console.warn(`Missing card asset: ${relativePath}`);
+        return '';
+    }
+}
+
+// Function to get a remote image as a data URI through the image cache (empty string if it can't be fetched)
+async function fetchRemoteImage(url) {
+    if (!url) return '';
+    try {
+        const image = await getCachedImage(url);
+        const buffer = await readCachedImage(image);
+        return `data:${image.content_type};base64,${buffer.toString('base64')}`;
+    } catch (error) {
+        console.warn(`Could not fetch card image ${url}:`, error.message);
+        return '';
+    }
+}
+
+// Get colour from gradient.png based on star rating (same sampling as getGradientColour() in the browser)
+async function getGradientColour(starRating) {
+    if (!gradientPixels) {
+        const { data, info } = await sharp(path.join(__dirname, 'public', 'gradient.png'))
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        gradientPixels = { data, width: info.width, height: info.height };
+    }
+
+    const clamped = Math.max(0, Math.min(10, starRating));
+    const x = Math.floor((clamped / 10.0) * (gradientPixels.width - 1));
+    const y = Math.floor(gradientPixels.height / 2);
+    const offset = (y * gradientPixels.width + x) * 3;
+    const rgb = gradientPixels.data.subarray(offset, offset + 3);
+    return `#${Array.from(rgb).map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Parse a boolean query parameter, falling back when it isn't set
+function parseBooleanQuery(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return value === 'true' || value === '1' || value === 'on';
+}
+
+// Parse ?hide=userRank,leaderboard into the set of hidden card elements
+function parseHiddenElements(value) {
+    const hidden = new Set(String(value || '').split(',').map(element => element.trim()).filter(Boolean));
+    const unknown = [...hidden].filter(element => !(element in CARD_ELEMENTS));
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Unknown card element in hide: ${unknown.join(', ')} (available: ${Object.keys(CARD_ELEMENTS).join(', ')})`);
+    }
+    return hidden;
+}
+
+// Icon sets ?icons= can pick, the old set only has some mods so the rest use the current icons
+const ICON_SETS = ['current', 'old'];
+
+// Function to get the public path of a mod's icon in an icon set
+function getModIconPath(acronym, iconSet) {
+    return iconSet === 'old' && OLD_MOD_ICONS.includes(acronym) ? `oldicons/${acronym}.png` : `icons/${acronym}.png`;
+}
+
+// Function to apply the same overrides as the UI (getScoreOverrides()/getUserOverrides() in the browser)
+function applyScorecardOverrides(data, query) {
+    const isSet = key => query[key] !== undefined && query[key] !== '';
+    const intOr = (key, fallback) => isSet(key) ? parseInt(query[key]) : fallback;
+    const floatOr = (key, fallback) => isSet(key) ? parseFloat(query[key]) : fallback;
+
+    const isLazer = parseBooleanQuery(query.lazer, data.lazer);
+    const score = {
+        score: intOr('score', isLazer ? data.score.score : data.score.classic_score),
+        c300: intOr('count300', data.score.c300),
+        c100: intOr('count100', data.score.c100),
+        c50: intOr('count50', data.score.c50),
+        cGeki: intOr('countGeki', data.score.cGeki || 0),
+        cKatu: intOr('countKatu', data.score.cKatu || 0),
+        statistics: Object.fromEntries(Object.entries(LAZER_TICK_QUERY_KEYS)
+            .map(([key, statistic]) => [statistic, intOr(key, data.score.statistics?.[statistic] || 0)])),
+        maximum_statistics: data.score.maximum_statistics || {},
+        misses: intOr('countMiss', data.score.misses),
+        cEnds: intOr('countSliderEnds', data.score.cEnds),
+        cSliders: data.score.cSliders,
+        max_combo: intOr('combo', data.score.max_combo),
+        accuracy: isSet('accuracy') ? parseFloat(query.accuracy) / 100 : data.score.accuracy,
+        pp: floatOr('pp', data.score.pp),
+        rank: isSet('rank') ? String(query.rank).toUpperCase() : data.score.rank,
+        mods: applyModSettingOverrides(isSet('mods') ? parseModsString(query.mods) : data.score.mods, query),
+        leaderboard: intOr('leaderboard', data.score.leaderboard),
+        full_combo: parseBooleanQuery(query.fullCombo, data.score.full_combo)
+    };
+
+    // Work accuracy and rank out again like the page does, ?accuracy= and ?rank= still win
+    // Changing the mods can add or remove the silver grade
+    const mode = data.mode || data.beatmap.mode || 'osu';
+    const countsChanged = isLazer !== data.lazer || HIT_COUNT_QUERY_KEYS.some(isSet);
+    const judgements = score.c300 + score.c100 + score.c50 + score.cGeki + score.cKatu + score.misses;
+    if (judgements > 0) {
+        const accuracy = calculateAccuracy(mode, score, isLazer);
+        if (countsChanged && !isSet('accuracy')) score.accuracy = accuracy;
+        if ((countsChanged || isSet('mods')) && !isSet('rank')) score.rank = calculateRank(mode, score, accuracy, isLazer);
+    }
+
+    const user = {
+        username: isSet('username') ? query.username : data.user.username,
+        userRank: intOr('userRank', data.user.user_rank),
+        avatarUrl: isSet('avatarUrl') ? query.avatarUrl : (data.user.avatar_url || DEFAULT_AVATAR_URL),
+        country: data.user.country || 'xx'
+    };
+
+    return { isLazer, score, user };
+}
+
+// Extra card height for the expanded stats row (its height plus the gap above it)
+const EXPANDED_STATS_HEIGHT = 72;
+
+// Set the mod settings from the query on the mods they apply to (same as applyModSettingOverrides() in the browser)
+function applyModSettingOverrides(mods, query) {
+    return mods.map(mod => {
+        const settings = { ...mod.settings };
+        Object.entries(MOD_SETTINGS).forEach(([queryKey, [acronyms, key]]) => {
+            if (query[queryKey] !== undefined && query[queryKey] !== '' && acronyms.includes(mod.acronym)) {
+                settings[key] = parseFloat(query[queryKey]);
+            }
+        });
+        return Object.keys(settings).length > 0 ? { ...mod, settings } : mod;
+    });
+}
+
+// Query keys for overriding lazer tick judgements on the expanded stats row
+const LAZER_TICK_QUERY_KEYS = {
+    largeTickHit: 'large_tick_hit',
+    largeTickMiss: 'large_tick_miss',
+    smallTickHit: 'small_tick_hit',
+    smallTickMiss: 'small_tick_miss'
+};
+
+// Query keys for the hit counts, changing any of them means accuracy and rank are worked out again
+const HIT_COUNT_QUERY_KEYS = [
+    'count300', 'count100', 'count50', 'countGeki', 'countKatu', 'countMiss', 'countSliderEnds',
+    ...Object.keys(LAZER_TICK_QUERY_KEYS)
+];
+
+// Colours of the stat classes getExpandedJudgements() gives
+const STAT_CLASS_COLOURS = { 'stat-300': '#4dabf7', 'stat-100': '#51cf66', 'stat-miss': '#ff6b6b', 'stat-tick': '#965dc1' };
+
+// Build the expanded stats row
+function getExpandedStatRow(score, isLazer, mode) {
+    return getExpandedJudgements(score, isLazer, mode)
+        .map(([className, label, value]) => ({ label, value: String(value), colour: STAT_CLASS_COLOURS[className] }));
+}
+
+// Build the stat rows for the hit counts (mirrors generateHitCountsHtml() in the browser)
+// expanded adds a smaller row of the extra judgements above combo/accuracy
+function getHitCountRows(score, isLazer, mode, expanded = false, hidden = new Set()) {
+    const rows = getMainHitCountRows(score, isLazer, mode)
+        .map(row => hidden.has('sliderEnds') ? row.filter(stat => stat.label !== 'Slider Ends') : row);
+    // Combo and accuracy stay when the judgements are hidden
+    if (hidden.has('hitCounts')) return rows.slice(-1);
+    const expandedRow = expanded ? getExpandedStatRow(score, isLazer, mode) : [];
+    if (expandedRow.length > 0) {
+        expandedRow.forEach(stat => { stat.small = true; });
+        rows.splice(rows.length - 1, 0, expandedRow);
+    }
+    return rows;
+}
+
+// Build the judgement rows plus combo/accuracy for each ruleset
+function getMainHitCountRows(score, isLazer, mode) {
+    const stat = (label, value, colour) => ({ label, value: String(value), colour });
+    const combo = stat('Combo', `${formatNumber(score.max_combo)}x`, '#fff');
+    const accuracy = stat('Accuracy', `${(score.accuracy * 100).toFixed(2)}%`, '#fff');
+    const miss = stat('Miss', score.misses, '#ff6b6b');
+
+    // Other rulesets have their own judgements, and lazer/classic scoring doesn't change them
+    if (mode === 'taiko') {
+        return [
+            [stat('Great', score.c300, '#4dabf7'), stat('Good', score.c100, '#51cf66')],
+            [miss],
+            [combo, accuracy]
+        ];
+    }
+    if (mode === 'fruits') {
+        return [
+            [stat('Fruits', score.c300, '#4dabf7'), stat('Drops', score.c100, '#51cf66'), stat('Droplets', score.c50, '#ffd43b')],
+            [miss],
+            [combo, accuracy]
+        ];
+    }
+    if (mode === 'mania') {
+        return [
+            [stat('MAX', score.cGeki, '#ffe475'), stat('300', score.c300, '#4dabf7'), stat('200', score.cKatu, '#38d9a9')],
+            [stat('100', score.c100, '#51cf66'), stat('50', score.c50, '#ffd43b'), miss],
+            [combo, accuracy]
+        ];
+    }
+
+    if (isLazer) {
+        return [
+            [stat('300', score.c300, '#4dabf7'), stat('100', score.c100, '#51cf66'), stat('50', score.c50, '#ffd43b')],
+            [stat('Miss', score.misses, '#ff6b6b'), stat('Slider Ends', `${score.cEnds}/${score.cSliders}`, '#965dc1')],
+            [combo, accuracy]
+        ];
+    }
+    return [
+        [stat('300', score.c300, '#4dabf7'), stat('100', score.c100, '#51cf66')],
+        [stat('50', score.c50, '#ffd43b'), stat('Miss', score.misses, '#ff6b6b')],
+        [combo, accuracy]
+    ];
+}
+
+// Function to lay out one row of stats (label above value, centred in each column)
+async function renderStatRow(stats, x, y, minWidth) {
+    let svg = '';
+    let columnX = x;
+    for (const stat of stats) {
+        // Expanded stats use the smaller .expanded-stats sizes
+        const [labelSize, valueSize] = stat.small ? [26, 24] : [40, 35];
+        const width = Math.max(stat.small ? 0 : minWidth, await measureTextWidth(stat.label, labelSize, 'Semi-Bold'), await measureTextWidth(stat.value, valueSize));
+        const centre = columnX + width / 2;
+        svg += `<text x="${centre}" y="${y + labelSize * 0.9}" text-anchor="middle" font-size="${labelSize}" font-weight="600" fill="${stat.colour}">${escapeXml(stat.label)}</text>`;
+        svg += `<text x="${centre}" y="${y + labelSize + valueSize}" text-anchor="middle" font-size="${valueSize}" fill="#fff">${escapeXml(stat.value)}</text>`;
+        columnX += width + 24;
+    }
+    return svg;
+}
+
+// Function to move and scale part of the card like the page's layout editor does, from the part's top left corner
+function placeLayoutElement(svg, placement, originX, originY) {
+    if (!svg || !placement) return svg;
+    const { x = 0, y = 0, scale = 1 } = placement;
+    return `<g transform="translate(${originX + x} ${originY + y}) scale(${scale}) translate(${-originX} ${-originY})">${svg}</g>`;
+}
+
+// Function to build the top bar (title, ruleset icon, star rating, difficulty, mapper and mods)
+async function renderTopBar(beatmap, allMods, mode, hidden, iconSet, layout) {
+    const mods = hidden.has('mods') ? [] : getShownMods(allMods);
+    const starColour = await getGradientColour(beatmap.star_rating);
+    const srColour = beatmap.star_rating > 6.5 ? '#ffe475' : '#2c3b43';
+    const starText = `★ ${Number(beatmap.star_rating).toFixed(2)}`;
+    const pillWidth = estimateTextWidth(starText, 18) + 12;
+    const rulesetIcon = await readPublicImage(`rulesets/${mode}.svg`);
+    // The star rating pill moves right to make room for the ruleset icon
+    const pillX = rulesetIcon ? 52 : 20;
+
+    // Same available width as calculateTitleSpace()
+    const titleSpace = Math.max(200, SCORECARD_WIDTH - 40 - mods.length * 70 - (mods.length > 0 ? 20 : 0));
+    const title = fitText(beatmap.title, 35, titleSpace);
+    const difficulty = beatmap.difficulty.length > 32 ? beatmap.difficulty.substring(0, 30) + '..' : beatmap.difficulty;
+
+    let info = `<text x="20" y="38" font-size="35" font-weight="600" fill="#fff">${escapeXml(title)}</text>`;
+    if (rulesetIcon) {
+        info += `<image x="20" y="47" width="26" height="26" href="${rulesetIcon}"/>`;
+    }
+    info += `<rect x="${pillX}" y="47" width="${pillWidth}" height="26" rx="13" fill="${starColour}"/>`;
+    info += `<text x="${pillX + 6}" y="66" font-size="18" font-weight="600" fill="${srColour}">${escapeXml(starText)}</text>`;
+    let details = hidden.has('difficulty') ? '' : `<tspan font-size="20" font-weight="600" fill="#fff">${escapeXml(difficulty)}</tspan>`;
+    if (!hidden.has('mapper')) {
+        details += `<tspan dx="${details ? 6 : 0}" font-size="14" fill="#d9e3e6">Mapped by:</tspan>`
+            + `<tspan dx="4" font-size="14" fill="#77b8d9">${escapeXml(beatmap.creator)}</tspan>`;
+    }
+    info += `<text x="${pillX + pillWidth + 8}" y="66">${details}</text>`;
+
+    // Mod icons are laid out right to left, like the row-reverse flexbox on the card
+    let icons = '';
+    for (let i = 0; i < mods.length; i++) {
+        const x = SCORECARD_WIDTH - 10 - 70 * (i + 1);
+        const icon = await readPublicImage(getModIconPath(mods[i].acronym, iconSet));
+        if (icon) {
+            icons += `<image x="${x}" y="0" width="70" height="70" href="${icon}"/>`;
+        }
+
+        // Lazer mod settings go in a badge under the icon, like .mod-setting
+        const badge = getModSettingsBadge(mods[i]);
+        if (badge) {
+            const badgeWidth = estimateTextWidth(badge, 13) + 10;
+            icons += `<rect x="${x + 35 - badgeWidth / 2}" y="60" width="${badgeWidth}" height="18" rx="9" fill="#1f2426"/>`;
+            icons += `<text x="${x + 35}" y="73" font-size="13" font-weight="600" fill="#fff" text-anchor="middle">${escapeXml(badge)}</text>`;
+        }
+    }
+    return `<rect x="0" y="0" width="${SCORECARD_WIDTH}" height="85" fill="#2e3538"/>`
+        + placeLayoutElement(info, layout.title, 20, 0)
+        + placeLayoutElement(icons, layout.mods, SCORECARD_WIDTH - 10 - 70 * mods.length, 0);
+}
+
+// Function to build the whole scorecard as an SVG document
+async function buildScorecardSvg(card) {
+    const { score, user, beatmap, mode, isLazer, expanded, small, hidden, iconSet, layout, ppDisplay, fullComboText, extraLines, leaderboardDisplay } = card;
+    const rankBadge = await readPublicImage(`ranks/${score.rank}.png`);
+    const topBar = await renderTopBar(beatmap, score.mods, mode, hidden, iconSet, layout);
+
+    if (small) {
+        const height = 205;
+        const comboAndAccuracy = await renderStatRow(getHitCountRows(score, isLazer, mode).at(-1), 180, 116, 90);
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${SCORECARD_WIDTH}" height="${height}" font-family="${SCORECARD_FONT}">
+            <defs><clipPath id="card"><rect width="${SCORECARD_WIDTH}" height="${height}" rx="20"/></clipPath></defs>
+            <g clip-path="url(#card)">
+                <rect width="${SCORECARD_WIDTH}" height="${height}" fill="#1f292e"/>
+                ${topBar}
+                ${rankBadge ? placeLayoutElement(`<image x="34" y="105" width="90" height="90" href="${rankBadge}"/>`, layout.rank, 34, 105) : ''}
+                ${comboAndAccuracy}
+                ${placeLayoutElement(`<text x="790" y="188" text-anchor="end" font-size="50" font-weight="600" fill="#ed89ff">${escapeXml(ppDisplay)}</text>`, layout.performance, 790 - estimateTextWidth(ppDisplay, 50), 145)}
+            </g>
+        </svg>`;
+    }
+
+    // Same growth rules as calculateRequiredHeight(), and the card gets shorter when hidden parts leave room
+    const hitCountRows = getHitCountRows(score, isLazer, mode, expanded, hidden);
+    const expandedHeight = hitCountRows.length > 3 ? EXPANDED_STATS_HEIGHT : 0;
+    const freeExtraLines = ppDisplay ? 2 : 4;
+    const hiddenSpace = getHiddenSpace(!hidden.has('score'), hitCountRows.filter(row => !row[0].small).length, Boolean(fullComboText || ppDisplay || extraLines.length > 0));
+    const height = 600 + Math.max(0, extraLines.length - freeExtraLines) * 30 + expandedHeight - hiddenSpace;
+    const middleTop = 85;
+    const middleBottom = height - 80;
+    const bottomTop = height - 80;
+
+    // Hit count rows under the score, moving up when it's hidden
+    let hitCounts = '';
+    const hitCountsTop = middleTop + 25 + (hidden.has('score') ? 0 : 80);
+    let rowY = hitCountsTop;
+    for (const [index, row] of hitCountRows.entries()) {
+        hitCounts += await renderStatRow(row, 25, rowY, row.length >= 3 || index === 0 ? 70 : 90);
+        rowY += (row[0].small ? EXPANDED_STATS_HEIGHT - 18 : 79) + 18;
+    }
+
+    // Full combo, pp and extra text stack at the bottom of the right section
+    const performanceHeight = Math.max(200, 12 + (fullComboText ? 42 : 0) + (ppDisplay ? 84 : 0) + extraLines.length * 42 + 5);
+    const performanceTop = middleBottom - 25 - performanceHeight;
+    let performanceY = performanceTop + 4;
+    let performance = '';
+    if (fullComboText) {
+        performance += `<text x="775" y="${performanceY + 34}" text-anchor="end" font-size="35" font-weight="600" fill="#f0e460">${escapeXml(fullComboText)}</text>`;
+        performanceY += 42;
+    }
+    performanceY += 8;
+    if (ppDisplay) {
+        performance += `<text x="775" y="${performanceY + 64}" text-anchor="end" font-size="70" font-weight="600" fill="#ed89ff">${escapeXml(ppDisplay)}</text>`;
+        performanceY += 84 + 5;
+    }
+    extraLines.forEach(line => {
+        performance += `<text x="775" y="${performanceY + 34}" text-anchor="end" font-size="35" font-weight="600" fill="#fff">${escapeXml(line)}</text>`;
+        performanceY += 42;
+    });
+
+    // User details in the bottom bar, moving left into the space of a hidden avatar or flag
+    const showAvatar = !hidden.has('avatar');
+    const flag = hidden.has('flag') ? null : await readPublicImage(`flags/${user.country.toLowerCase()}.png`);
+    const flagPosition = showAvatar ? `x="58" y="${bottomTop + 46}"` : `x="10" y="${bottomTop + 28}"`;
+    const detailsX = showAvatar ? 97 : (flag ? 52 : 10);
+    const userRankText = `#${formatNumber(user.userRank)}`;
+    const usernameWidth = estimateTextWidth(user.username, 30);
+    // The rank sits right-aligned under the username, or starts at the left edge when it's the wider of the two
+    const userRankPosition = estimateTextWidth(userRankText, 25) >= usernameWidth
+        ? `x="${detailsX}" text-anchor="start"`
+        : `x="${detailsX + usernameWidth}" text-anchor="end"`;
+    const userInfo = `${showAvatar && card.avatarUri ? `<image x="10" y="${bottomTop - 5}" width="75" height="75" clip-path="url(#avatar)" preserveAspectRatio="xMidYMid slice" href="${card.avatarUri}"/>` : ''}
+            ${flag ? `<image ${flagPosition} width="30" height="24" preserveAspectRatio="xMidYMid slice" href="${flag}"/>` : ''}
+            <text x="${detailsX}" y="${bottomTop + (hidden.has('userRank') ? 45 : 28)}" font-size="30" font-weight="600" fill="#fff">${escapeXml(user.username)}</text>
+            ${hidden.has('userRank') ? '' : `<text ${userRankPosition} y="${bottomTop + 62}" font-size="25" fill="#fff">${escapeXml(userRankText)}</text>`}`;
+    const leaderboard = hidden.has('leaderboard') ? '' : `<text x="790" y="${bottomTop + 30}" text-anchor="end" font-size="30" font-weight="600" fill="#fff">Leaderboard</text>
+            <text x="790" y="${bottomTop + 62}" text-anchor="end" font-size="25" fill="#fff">#${escapeXml(leaderboardDisplay)}</text>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${SCORECARD_WIDTH}" height="${height}" font-family="${SCORECARD_FONT}">
+        <defs>
+            <clipPath id="card"><rect width="${SCORECARD_WIDTH}" height="${height}" rx="20"/></clipPath>
+            <clipPath id="avatar"><circle cx="47.5" cy="${bottomTop + 32.5}" r="37.5"/></clipPath>
+        </defs>
+        <g clip-path="url(#card)">
+            <rect width="${SCORECARD_WIDTH}" height="${height}" fill="#1f292e"/>
+            ${card.backgroundUri ? `<image x="0" y="${middleTop}" width="${SCORECARD_WIDTH}" height="${middleBottom - middleTop}" preserveAspectRatio="xMidYMid slice" href="${card.backgroundUri}"/>` : ''}
+            <rect x="0" y="${middleTop}" width="${SCORECARD_WIDTH}" height="${middleBottom - middleTop}" fill="#000" fill-opacity="0.7"/>
+            ${hidden.has('score') ? '' : placeLayoutElement(`<text x="25" y="${middleTop + 25 + 50}" font-size="50" font-weight="600" fill="#fff">Score: ${formatNumber(score.score)}</text>`, layout.score, 25, middleTop + 25)}
+            ${placeLayoutElement(hitCounts, layout.hitCounts, 25, hitCountsTop)}
+            ${rankBadge ? placeLayoutElement(`<image x="575" y="${middleTop + 25}" width="200" height="200" href="${rankBadge}"/>`, layout.rank, 575, middleTop + 25) : ''}
+            ${placeLayoutElement(performance, layout.performance, 575, performanceTop)}
+            ${topBar}
+            <rect x="0" y="${bottomTop}" width="${SCORECARD_WIDTH}" height="80" fill="#2e3538"/>
+            ${placeLayoutElement(userInfo, layout.user, 10, bottomTop)}
+            ${placeLayoutElement(leaderboard, layout.leaderboard, 790 - estimateTextWidth('Leaderboard', 30), bottomTop)}
+        </g>
+    </svg>`;
+}
+
+// Query parameters that change the play, so osu!'s pp for the score no longer fits
+const PLAY_QUERY_KEYS = [...HIT_COUNT_QUERY_KEYS, 'combo', 'mods', ...Object.keys(MOD_SETTINGS)];
+
+// Scorecard templates the server can draw, the others in the page's template dropdown are browser only
+const SERVER_TEMPLATES = ['standard', 'small'];
+
+// Function to read ?layout=, the JSON Copy Layout in the page's Layout panel gives ({"template":"small","elements":{...}})
+// Saved layouts are only kept in the browser, so the PNG route can't look one up by its name
+function parseLayoutQuery(value) {
+    if (value === undefined || value === '') return { template: null, elements: {} };
+
+    let layout;
+    try {
+        layout = JSON.parse(value);
+    } catch {
+        layout = null;
+    }
+    if (!layout || typeof layout.elements !== 'object' || layout.elements === null) {
+        throw new HttpError(400, 'Layout has to be the JSON from Copy Layout in the Layout panel (saved layout names only work in the browser)');
+    }
+
+    const [minScale, maxScale] = LAYOUT_SCALE_RANGE;
+    for (const [key, placement] of Object.entries(layout.elements)) {
+        if (!(key in LAYOUT_ELEMENTS)) {
+            throw new HttpError(400, `Unknown layout element: ${key} (available: ${Object.keys(LAYOUT_ELEMENTS).join(', ')})`);
+        }
+        const { x = 0, y = 0, scale = 1 } = placement || {};
+        if (!Number.isFinite(x) || !Number.isFinite(y) || typeof scale !== 'number' || scale < minScale || scale > maxScale) {
+            throw new HttpError(400, `Layout element ${key} needs numbers for x and y and a scale from ${minScale} to ${maxScale}`);
+        }
+    }
+    return { template: typeof layout.template === 'string' ? layout.template : null, elements: layout.elements };
+}
+
+// Function to check the card options in the query, so a bad one is turned down before the score is fetched
+function parseScorecardOptions(query) {
+    const layout = parseLayoutQuery(query.layout);
+    // ?size=small is the old way of asking for the small template, a layout brings the template it was made for
+    const template = query.template || (query.size === 'small' ? 'small' : layout.template) || 'standard';
+    if (!SERVER_TEMPLATES.includes(template)) {
+        throw new HttpError(400, `The ${template} template can only be rendered in the browser (available here: ${SERVER_TEMPLATES.join(', ')})`);
+    }
+    const iconSet = query.icons || 'current';
+    if (!ICON_SETS.includes(iconSet)) {
+        throw new HttpError(400, `Unknown icon set: ${iconSet} (available: ${ICON_SETS.join(', ')}, skins can only be used in the browser)`);
+    }
+    if (query.rank !== undefined && query.rank !== '' && !SCORE_RANKS.includes(String(query.rank).toUpperCase())) {
+        throw new HttpError(400, `Unknown rank: ${query.rank} (available: ${SCORE_RANKS.join(', ')})`);
+    }
+    return { template, hidden: parseHiddenElements(query.hide), iconSet, layout: layout.elements };
+}
+
+// Function to render a scorecard PNG from formatted score data and the request's options (from parseScorecardOptions())
+async function renderScorecardPng(data, query, options) {
+    const { template, hidden, iconSet, layout } = options;
+    const { isLazer, score, user } = applyScorecardOverrides(data, query);
+    const mode = data.mode || data.beatmap.mode || 'osu';
+    // Star rating for the mods on the card, the score's own beatmap data is always no-mod
+    const beatmap = score.mods.length > 0
+        ? { ...data.beatmap, ...(await getModdedAttributes(data.beatmap, score.mods, mode, attributesProvider)) }
+        : data.beatmap;
+    const small = template === 'small';
+    const expanded = parseBooleanQuery(query.expanded, false);
+    const showFcPp = parseBooleanQuery(query.fcPp, false);
+
+    // Work pp out offline when osu! has none for the map or the play was edited (?pp= still wins)
+    const edited = isLazer !== data.lazer || PLAY_QUERY_KEYS.some(key => query[key] !== undefined && query[key] !== '');
+    const needsPp = (query.pp === undefined || query.pp === '') && (edited || !['ranked', 'approved'].includes(beatmap.status));
+    let performance = null;
+    if ((needsPp || showFcPp) && beatmap.beatmap_id) {
+        try {
+            performance = await getPlayPerformance(beatmap.beatmap_id, mode, score, isLazer);
+        } catch (error) {
+            console.error('Error calculating pp for scorecard:', error.message);
+        }
+    }
+    if (needsPp && performance) score.pp = performance.pp;
+
+    // Same display rules as updateScorecard()/getPpDisplay() in the browser
+    const isLoved = beatmap.status === 'loved';
+    let ppDisplay = `${formatNumber(Math.round(score.pp))}pp`;
+    if (hidden.has('pp')) {
+        ppDisplay = '';
+    } else if (isLoved) {
+        if (query.lovedPp) {
+            ppDisplay = `${formatNumber(Math.round(parseFloat(query.lovedPp)))}pp ♥`;
+        } else {
+            ppDisplay = score.pp ? `${formatNumber(Math.round(score.pp))}pp ♥` : '♥';
+        }
+    }
+    const extraLines = query.extra && !hidden.has('extraText') ? String(query.extra).split(/\r?\n/) : [];
+    if (showFcPp && performance && Math.round(performance.pp_fc) > Math.round(score.pp)) {
+        extraLines.unshift(`${formatNumber(Math.round(performance.pp_fc))}pp if FC`);
+    }
+    const leaderboardDisplay = parseBooleanQuery(query.unranked, false) ? 'UNRANKED' : formatNumber(score.leaderboard);
+
+    // Fetch the remote images up front so they can be embedded in the SVG
+    const [backgroundUri, avatarUri] = small ? ['', ''] : await Promise.all([
+        fetchRemoteImage(query.background || beatmap.cover),
+        hidden.has('avatar') ? '' : fetchRemoteImage(user.avatarUrl)
+    ]);
+
+    const svg = await buildScorecardSvg({
+        score, user, beatmap, mode, isLazer, expanded, small, hidden, iconSet, layout, ppDisplay, extraLines, leaderboardDisplay, backgroundUri, avatarUri,
+        fullComboText: score.full_combo && !hidden.has('fullCombo') ? 'Full Combo!' : ''
+    });
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// API route to render a scorecard as a PNG without a browser
+app.get('/api/scorecard/:scoreId.png', async (req, res) => {
+    try {
+        const { scoreId } = req.params;
+
+        // Check the card options first so a bad query doesn't use up API requests
+        const options = parseScorecardOptions(req.query);
+
+        // Fetch the score (from a private server if ?server= is set) and render it with any overrides from the query string
+        const data = await getProviderScore(req.query.server || 'osu', scoreId, req.query.variant);
+        const png = await renderScorecardPng(data, req.query, options);
+
+        // Count it like a scorecard saved from the browser
+        db.run("UPDATE stats SET count = count + 1 WHERE id = 1");
+
         res.set({
             'Content-Type': 'image/png',
-            'Cache-Control': 'no-cache'
+            'Cache-Control': 'public, max-age=300'
         });
-        res.send(transparentPng);
+        res.send(png);
+    } catch (error) {
+        // If anything goes wrong, log the error and send error response
+        console.error('Error rendering scorecard:', error);
+        sendOsuError(res, error, 'Failed to render scorecard');
     }
 });
 
@@ -0,0 +1,59 @@
+// Tests for modded map attributes, using the local stand-in instead of osu!
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLocalModdedAttributes, getModdedAttributes } = require('../attributes');
+
+// No-mod attributes of a made up difficulty, like getBaseAttributes() gives
+const beatmap = { beatmap_id: 123, star_rating: 5.5, cs: 4, ar: 9, od: 8, hp: 6, bpm: 180, length: 120 };
+
+test('the stand-in speeds up AR, OD, BPM and length with DT', async () => {
+    const attributes = await getModdedAttributes(beatmap, [{ acronym: 'DT' }], 'osu');
+    assert.deepEqual(attributes, {
+        star_rating: 5.5, cs: 4, ar: 10.33, od: 9.78, hp: 6, bpm: 270, length: 80, source: 'local'
+    });
+});
+
+test('the stand-in uses lazer speed_change and Difficulty Adjust settings', () => {
+    const attributes = getLocalModdedAttributes(beatmap, [
+        { acronym: 'HT', settings: { speed_change: 0.5 } },
+        { acronym: 'DA', settings: { circle_size: 7 } }
+    ], 'osu');
+    assert.equal(attributes.cs, 7);
+    assert.equal(attributes.bpm, 90);
+    assert.equal(attributes.length, 240);
+});
+
+test('HR and EZ scale the stand-in values, mania keeps its key count', () => {
+    assert.equal(getLocalModdedAttributes(beatmap, [{ acronym: 'HR' }], 'osu').cs, 5.2);
+    assert.equal(getLocalModdedAttributes(beatmap, [{ acronym: 'HR' }], 'osu').ar, 10);
+    assert.equal(getLocalModdedAttributes(beatmap, [{ acronym: 'EZ' }], 'osu').od, 4);
+    assert.equal(getLocalModdedAttributes(beatmap, [{ acronym: 'HR' }], 'mania').cs, 4);
+});
+
+test('an attributes provider gives the star rating, AR and OD', async () => {
+    let request;
+    const provider = async (beatmapId, body) => {
+        request = { beatmapId, body };
+        return { star_rating: 7.25, approach_rate: 10.3333, overall_difficulty: 9.7777 };
+    };
+    const attributes = await getModdedAttributes(beatmap, [{ acronym: 'NC' }, { acronym: 'DT' }], 'osu', provider);
+
+    // DT isn't sent with NC, osu! already knows NC includes it
+    assert.deepEqual(request, { beatmapId: 123, body: { ruleset: 'osu', mods: ['NC'] } });
+    assert.equal(attributes.star_rating, 7.25);
+    assert.equal(attributes.ar, 10.33);
+    assert.equal(attributes.od, 9.78);
+    assert.equal(attributes.bpm, 270);
+    assert.equal(attributes.source, 'osu');
+});
+
+test('the stand-in is used when the provider fails or the map has no ID', async t => {
+    t.mock.method(console, 'error', () => {});
+    const failing = async () => { throw new Error('osu! is down'); };
+    assert.equal((await getModdedAttributes(beatmap, [{ acronym: 'DT' }], 'osu', failing)).source, 'local');
+
+    const unused = t.mock.fn(async () => ({}));
+    const attributes = await getModdedAttributes({ ...beatmap, beatmap_id: null }, [{ acronym: 'DT' }], 'osu', unused);
+    assert.equal(attributes.source, 'local');
+    assert.equal(unused.mock.callCount(), 0);
+});